@@ -0,0 +1,90 @@
+import { world, system, InputButton, ButtonState } from '@minecraft/server'
+import { playerMessage } from 'player_message.js'
+
+/*
+ * Per-player activation mode: what has to be true while breaking a block
+ * for Excavate (and its preview) to kick in.
+ */
+
+export const activationModes = {
+    sneak: 'Hold Sneak',
+    notSneaking: 'Not Sneaking',
+    doubleTapSneak: 'Double-Tap Sneak Toggle',
+    always: 'Always On',
+    offhand: 'Offhand Item',
+}
+
+// Two sneak presses within this many ticks flip the double-tap toggle.
+const DOUBLE_TAP_TICKS = 10
+
+const lastSneakPress = new Map() // Map<playerId, tick>
+
+/**
+ * @param {Player} player
+ * @returns {string} One of the `activationModes` keys.
+ */
+export function getActivationMode(player) {
+    const mode = player.getDynamicProperty('dorios:activationMode')
+    return mode in activationModes ? mode : 'sneak'
+}
+
+/**
+ * @param {Player} player
+ * @param {string} mode
+ * @param {string} [item] Offhand item type ID, any offhand item when empty.
+ */
+export function setActivationMode(player, mode, item) {
+    player.setDynamicProperty('dorios:activationMode', mode)
+    if (item !== undefined) player.setDynamicProperty('dorios:activationItem', item || undefined)
+}
+
+/**
+ * @param {Player} player
+ * @returns {boolean} True if Excavate should run for the player right now.
+ */
+export function isActivationActive(player) {
+    switch (getActivationMode(player)) {
+        case 'notSneaking':
+            return !player.isSneaking
+
+        case 'doubleTapSneak':
+            return !!player.getDynamicProperty('dorios:activationToggle')
+
+        case 'always':
+            return true
+
+        case 'offhand': {
+            let offhand
+            try {
+                offhand = player.getComponent('equippable')?.getEquipment('Offhand')
+            } catch { }
+            if (!offhand) return false
+
+            const item = player.getDynamicProperty('dorios:activationItem')
+            return !item || offhand.typeId === item
+        }
+
+        default:
+            return player.isSneaking
+    }
+}
+
+world.afterEvents.playerButtonInput.subscribe(e => {
+    const { player } = e
+    if (getActivationMode(player) !== 'doubleTapSneak') return
+
+    const last = lastSneakPress.get(player.id)
+    if (last !== undefined && system.currentTick - last <= DOUBLE_TAP_TICKS) {
+        const next = !player.getDynamicProperty('dorios:activationToggle')
+        player.setDynamicProperty('dorios:activationToggle', next)
+        playerMessage(player, `§eExcavate: ${next ? '§aActive' : '§cInactive'}`)
+        lastSneakPress.delete(player.id)
+        return
+    }
+
+    lastSneakPress.set(player.id, system.currentTick)
+}, { buttons: [InputButton.Sneak], state: ButtonState.Pressed })
+
+world.afterEvents.playerLeave.subscribe(e => {
+    lastSneakPress.delete(e.playerId)
+})
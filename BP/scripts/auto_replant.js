@@ -0,0 +1,235 @@
+import { world, BlockPermutation } from '@minecraft/server'
+
+const DEFAULT_SAPLING_TABLE = {
+    'minecraft:oak_log': 'minecraft:oak_sapling',
+    'minecraft:spruce_log': 'minecraft:spruce_sapling',
+    'minecraft:birch_log': 'minecraft:birch_sapling',
+    'minecraft:jungle_log': 'minecraft:jungle_sapling',
+    'minecraft:acacia_log': 'minecraft:acacia_sapling',
+    'minecraft:dark_oak_log': 'minecraft:dark_oak_sapling',
+    'minecraft:cherry_log': 'minecraft:cherry_sapling',
+    'minecraft:pale_oak_log': 'minecraft:pale_oak_sapling',
+    'minecraft:mangrove_log': 'minecraft:mangrove_propagule',
+    'minecraft:mangrove_roots': 'minecraft:mangrove_propagule',
+    'minecraft:muddy_mangrove_roots': 'minecraft:mangrove_propagule',
+    // Nether
+    'minecraft:crimson_stem': 'minecraft:crimson_fungus',
+    'minecraft:warped_stem': 'minecraft:warped_fungus',
+}
+
+const SAPLING_SOILS = [
+    'minecraft:dirt',
+    'minecraft:grass_block',
+    'minecraft:podzol',
+    'minecraft:coarse_dirt',
+    'minecraft:dirt_with_roots',
+    'minecraft:moss_block',
+    'minecraft:pale_moss_block',
+    'minecraft:mud',
+    'minecraft:muddy_mangrove_roots',
+    'minecraft:mycelium',
+    'minecraft:farmland',
+]
+
+const FUNGUS_SOILS = [
+    ...SAPLING_SOILS,
+    'minecraft:crimson_nylium',
+    'minecraft:warped_nylium',
+    'minecraft:soul_soil',
+]
+
+// Crops of the Harvest shape: the growth state, its mature value, the item
+// replanted and the block it has to stand on.
+const HARVEST_CROPS = {
+    'minecraft:wheat': { state: 'growth', max: 7, seed: 'minecraft:wheat_seeds', soil: 'minecraft:farmland' },
+    'minecraft:carrots': { state: 'growth', max: 7, seed: 'minecraft:carrot', soil: 'minecraft:farmland' },
+    'minecraft:potatoes': { state: 'growth', max: 7, seed: 'minecraft:potato', soil: 'minecraft:farmland' },
+    'minecraft:beetroot': { state: 'growth', max: 7, seed: 'minecraft:beetroot_seeds', soil: 'minecraft:farmland' },
+    'minecraft:nether_wart': { state: 'age', max: 3, seed: 'minecraft:nether_wart', soil: 'minecraft:soul_sand' },
+}
+
+// Widest trunk replanted: 2x2 trees need four saplings.
+const MAX_REPLANT_POSITIONS = 4
+
+let saplingTable = {}
+
+world.afterEvents.worldLoad.subscribe(() => {
+    try {
+        const existing = world.getDynamicProperty('dorios:saplingTable')
+        saplingTable = existing ? JSON.parse(existing) : { ...DEFAULT_SAPLING_TABLE }
+    } catch {
+        console.warn('[ERROR] Failed to read sapling table, resetting...')
+        saplingTable = { ...DEFAULT_SAPLING_TABLE }
+    }
+    world.setDynamicProperty('dorios:saplingTable', JSON.stringify(saplingTable))
+})
+
+function saveSaplingTable() {
+    world.setDynamicProperty('dorios:saplingTable', JSON.stringify(saplingTable))
+}
+
+/**
+ * @returns {Record<string, string>} Copy of the log → sapling table.
+ */
+export function getSaplingTable() {
+    return { ...saplingTable }
+}
+
+/**
+ * Adds or replaces the sapling replanted for a log type.
+ * @param {string} log Block type ID of the trunk.
+ * @param {string} sapling Block type ID of the sapling, propagule or fungus.
+ */
+export function setSaplingMapping(log, sapling) {
+    saplingTable[log] = sapling
+    saveSaplingTable()
+}
+
+/**
+ * @param {string} log
+ * @returns {boolean} False if the log had no sapling.
+ */
+export function removeSaplingMapping(log) {
+    if (!(log in saplingTable)) return false
+
+    delete saplingTable[log]
+    saveSaplingTable()
+    return true
+}
+
+function isSoilFor(sapling, block) {
+    if (!block) return false
+
+    const soils = sapling.endsWith('_fungus') ? FUNGUS_SOILS : SAPLING_SOILS
+    return soils.includes(block.typeId)
+}
+
+/**
+ * @param {string} typeId
+ * @returns {boolean} True if the block is a crop the Harvest shape handles.
+ */
+export function isHarvestCrop(typeId) {
+    return typeId in HARVEST_CROPS
+}
+
+/**
+ * @param {Block} block
+ * @returns {boolean} True if the crop reached its last growth stage.
+ */
+export function isMatureCrop(block) {
+    const crop = HARVEST_CROPS[block?.typeId]
+    if (!crop) return false
+
+    return block.permutation.getState(crop.state) >= crop.max
+}
+
+/**
+ * Takes one item, first from the loot collected by the run, then from the
+ * player's inventory.
+ * @returns {boolean} True if the item was found.
+ */
+function takeReplantItem(ctx, typeId) {
+    const entry = ctx.loot.find(entry => entry.item.typeId === typeId && entry.amount > 0)
+    if (entry) {
+        entry.amount--
+        if (entry.amount === 0) ctx.loot.splice(ctx.loot.indexOf(entry), 1)
+        return true
+    }
+
+    const container = ctx.player.getComponent('inventory')?.container
+    if (!container) return false
+
+    for (let slot = 0; slot < container.size; slot++) {
+        const stack = container.getItem(slot)
+        if (stack?.typeId !== typeId) continue
+
+        if (stack.amount > 1) {
+            stack.amount--
+            container.setItem(slot, stack)
+        } else {
+            container.setItem(slot)
+        }
+        return true
+    }
+
+    return false
+}
+
+/**
+ * Replants a felled tree at its lowest cut trunk positions.
+ *
+ * Candidates are the block broken by the player plus every trunk block the
+ * run removed (read from the run history). Only the lowest layer is replanted,
+ * which gives four saplings for 2x2 trunks. A position is planted when it is
+ * still air, the block below is a valid soil and a sapling can be paid for.
+ *
+ * @param {object} ctx Vein context of the finished Tree Capitator run.
+ * @param {import('@minecraft/server').Vector3} originLocation Block broken by the player.
+ * @param {string} originTypeId Type of the block broken by the player.
+ * @returns {number} Amount of saplings planted.
+ */
+export function replantTree(ctx, originLocation, originTypeId) {
+    const sapling = saplingTable[originTypeId]
+    if (!sapling) return 0
+
+    const candidates = [{ location: originLocation, typeId: originTypeId }]
+    for (const { location, permutation } of ctx.history.blocks) {
+        candidates.push({ location, typeId: permutation.type.id })
+    }
+
+    const trunk = candidates.filter(candidate => saplingTable[candidate.typeId] === sapling)
+    const lowestY = Math.min(...trunk.map(candidate => candidate.location.y))
+    const lowest = trunk
+        .filter(candidate => candidate.location.y === lowestY)
+        .slice(0, MAX_REPLANT_POSITIONS)
+
+    let planted = 0
+    for (const { location } of lowest) {
+        try {
+            const block = ctx.dimension.getBlock(location)
+            if (!block || block.typeId !== 'minecraft:air') continue
+            if (!isSoilFor(sapling, block.below())) continue
+            if (!takeReplantItem(ctx, sapling)) break
+
+            block.setType(sapling)
+            planted++
+        } catch (e) {
+            console.warn(`[Excavate] Could not replant ${sapling}: ${e}`)
+        }
+    }
+
+    return planted
+}
+
+/**
+ * Replants harvested crops at growth 0.
+ *
+ * Each cell is planted when it is still air, stands on the crop's soil and a
+ * seed can be paid for, from the run's drops first.
+ *
+ * @param {object} ctx Vein context of the finished Harvest run.
+ * @param {Array<{location: import('@minecraft/server').Vector3, typeId: string}>} cells Harvested crops.
+ * @returns {number} Amount of crops planted.
+ */
+export function replantCrops(ctx, cells) {
+    let planted = 0
+
+    for (const { location, typeId } of cells) {
+        const crop = HARVEST_CROPS[typeId]
+        if (!crop) continue
+
+        try {
+            const block = ctx.dimension.getBlock(location)
+            if (!block || block.typeId !== 'minecraft:air') continue
+            if (block.below()?.typeId !== crop.soil) continue
+            if (!takeReplantItem(ctx, crop.seed)) continue
+
+            block.setPermutation(BlockPermutation.resolve(typeId, { [crop.state]: 0 }))
+            planted++
+        } catch (e) {
+            console.warn(`[Excavate] Could not replant ${typeId}: ${e}`)
+        }
+    }
+
+    return planted
+}
@@ -0,0 +1,189 @@
+import { world, ItemStack } from '@minecraft/server'
+
+const DEFAULT_SMELT_TABLE = {
+    // Ores
+    'minecraft:raw_iron': 'minecraft:iron_ingot',
+    'minecraft:raw_gold': 'minecraft:gold_ingot',
+    'minecraft:raw_copper': 'minecraft:copper_ingot',
+    'minecraft:ancient_debris': 'minecraft:netherite_scrap',
+    // Logs
+    'minecraft:oak_log': 'minecraft:charcoal',
+    'minecraft:spruce_log': 'minecraft:charcoal',
+    'minecraft:birch_log': 'minecraft:charcoal',
+    'minecraft:jungle_log': 'minecraft:charcoal',
+    'minecraft:acacia_log': 'minecraft:charcoal',
+    'minecraft:dark_oak_log': 'minecraft:charcoal',
+    'minecraft:cherry_log': 'minecraft:charcoal',
+    'minecraft:mangrove_log': 'minecraft:charcoal',
+    'minecraft:pale_oak_log': 'minecraft:charcoal',
+}
+
+// Items smelted per fuel item, same as a vanilla furnace.
+const FUEL_VALUES = {
+    'minecraft:coal': 8,
+    'minecraft:charcoal': 8,
+    'minecraft:lava_bucket': 100,
+}
+
+let smeltTable = {}
+
+world.afterEvents.worldLoad.subscribe(() => {
+    try {
+        const existing = world.getDynamicProperty('dorios:smeltTable')
+        smeltTable = existing ? JSON.parse(existing) : { ...DEFAULT_SMELT_TABLE }
+    } catch {
+        console.warn('[ERROR] Failed to read smelt table, resetting...')
+        smeltTable = { ...DEFAULT_SMELT_TABLE }
+    }
+    world.setDynamicProperty('dorios:smeltTable', JSON.stringify(smeltTable))
+})
+
+function saveSmeltTable() {
+    world.setDynamicProperty('dorios:smeltTable', JSON.stringify(smeltTable))
+}
+
+/**
+ * @returns {Record<string, string>} Copy of the input → output conversion table.
+ */
+export function getSmeltTable() {
+    return { ...smeltTable }
+}
+
+function isValidItemId(typeId) {
+    try {
+        new ItemStack(typeId, 1)
+        return true
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Adds or replaces a conversion in the smelt table.
+ * @param {string} input Item type ID of the drop.
+ * @param {string} output Item type ID it becomes.
+ * @returns {boolean} False if the output is not a valid item.
+ */
+export function setSmeltConversion(input, output) {
+    if (!isValidItemId(output)) return false
+
+    smeltTable[input] = output
+    saveSmeltTable()
+    return true
+}
+
+/**
+ * @param {string} input
+ * @returns {boolean} False if the input had no conversion.
+ */
+export function removeSmeltConversion(input) {
+    if (!(input in smeltTable)) return false
+
+    delete smeltTable[input]
+    saveSmeltTable()
+    return true
+}
+
+export function isAutoSmeltUnlocked() {
+    return !!world.getDynamicProperty('dorios:autoSmeltUnlocked')
+}
+
+/**
+ * @param {Player} player
+ * @returns {boolean} True if the player turned Auto-Smelt on and admins unlocked it.
+ */
+export function isAutoSmeltActive(player) {
+    return isAutoSmeltUnlocked() && !!player.getDynamicProperty('dorios:autoSmelt')
+}
+
+/**
+ * Takes one fuel item from the player's inventory.
+ * @param {Player} player
+ * @returns {number} Amount of items the fuel can smelt, 0 if no fuel was found.
+ */
+function consumeFuel(player) {
+    const container = player.getComponent('inventory')?.container
+    if (!container) return 0
+
+    for (let slot = 0; slot < container.size; slot++) {
+        const stack = container.getItem(slot)
+        const value = stack ? FUEL_VALUES[stack.typeId] : undefined
+        if (!value) continue
+
+        if (stack.typeId === 'minecraft:lava_bucket') {
+            container.setItem(slot, new ItemStack('minecraft:bucket', 1))
+        } else if (stack.amount > 1) {
+            stack.amount--
+            container.setItem(slot, stack)
+        } else {
+            container.setItem(slot)
+        }
+
+        return value
+    }
+
+    return 0
+}
+
+function createStacks(typeId, amount) {
+    const stacks = []
+    let remaining = amount
+
+    while (remaining > 0) {
+        const stack = new ItemStack(typeId, 1)
+        stack.amount = Math.min(remaining, stack.maxAmount)
+        stacks.push(stack)
+        remaining -= stack.amount
+    }
+
+    return stacks
+}
+
+/**
+ * Converts excavated drops through the smelt table.
+ *
+ * When fuel cost is enabled, every smelted item spends one use of the fuel
+ * taken from the player's inventory (`ctx.smeltFuel` carries what is left of
+ * the last fuel item). Items that cannot be paid for are kept unsmelted.
+ *
+ * @param {{player: Player, autoSmelt: boolean, smeltFuel: number}} ctx Vein context of the run.
+ * @param {ItemStack[]} drops
+ * @returns {ItemStack[]}
+ */
+export function smeltDrops(ctx, drops) {
+    if (!ctx.autoSmelt) return drops
+
+    const useFuel = !!world.getDynamicProperty('dorios:autoSmeltFuelCost')
+    const result = []
+
+    for (const drop of drops) {
+        // Checked before any fuel is taken: the output of a removed addon no longer exists.
+        const output = smeltTable[drop.typeId]
+        if (!output || !isValidItemId(output)) {
+            result.push(drop)
+            continue
+        }
+
+        let smelted = drop.amount
+        if (useFuel) {
+            while (ctx.smeltFuel < drop.amount) {
+                const value = consumeFuel(ctx.player)
+                if (value <= 0) break
+                ctx.smeltFuel += value
+            }
+
+            smelted = Math.min(drop.amount, ctx.smeltFuel)
+        }
+
+        result.push(...createStacks(output, smelted))
+        if (useFuel) ctx.smeltFuel -= smelted
+
+        if (smelted < drop.amount) {
+            const rest = drop.clone()
+            rest.amount = drop.amount - smelted
+            result.push(rest)
+        }
+    }
+
+    return result
+}
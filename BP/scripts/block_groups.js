@@ -0,0 +1,204 @@
+import { world } from '@minecraft/server'
+
+/*
+ * Block alias and connect-group table.
+ *
+ * Aliases map a block type to the type it is treated as (lit redstone ore is
+ * plain redstone ore, a modded ore can be mapped onto another one). Connect
+ * groups are named sets of blocks; Vein Connect only chains blocks that share
+ * a group, while listed blocks in no group chain with each other. Both parts
+ * live in one world dynamic property.
+ */
+
+const DEFAULT_ALIASES = {
+    'minecraft:lit_redstone_ore': 'minecraft:redstone_ore',
+    'minecraft:lit_deepslate_redstone_ore': 'minecraft:deepslate_redstone_ore',
+}
+
+const DEFAULT_GROUPS = {
+    ores: [
+        'minecraft:coal_ore',
+        'minecraft:copper_ore',
+        'minecraft:diamond_ore',
+        'minecraft:emerald_ore',
+        'minecraft:gold_ore',
+        'minecraft:iron_ore',
+        'minecraft:lapis_ore',
+        'minecraft:redstone_ore',
+        'minecraft:deepslate_coal_ore',
+        'minecraft:deepslate_copper_ore',
+        'minecraft:deepslate_diamond_ore',
+        'minecraft:deepslate_emerald_ore',
+        'minecraft:deepslate_gold_ore',
+        'minecraft:deepslate_iron_ore',
+        'minecraft:deepslate_lapis_ore',
+        'minecraft:deepslate_redstone_ore',
+        'utilitycraft:deepslate_titanium_ore',
+        'utilitycraft:deepslate_aetherium_ore',
+        'utilitycraft:aetherium_ore',
+    ],
+    logs: [
+        'minecraft:oak_log',
+        'minecraft:spruce_log',
+        'minecraft:birch_log',
+        'minecraft:jungle_log',
+        'minecraft:acacia_log',
+        'minecraft:dark_oak_log',
+        'minecraft:cherry_log',
+        'minecraft:mangrove_log',
+        'minecraft:pale_oak_log',
+        'minecraft:crimson_stem',
+        'minecraft:warped_stem',
+    ],
+    nether: [
+        'minecraft:nether_gold_ore',
+        'minecraft:quartz_ore',
+        'minecraft:ancient_debris',
+    ],
+}
+
+function cloneGroups(table) {
+    return Object.fromEntries(Object.entries(table).map(([name, members]) => [name, [...members]]))
+}
+
+let aliases = { ...DEFAULT_ALIASES }
+let groups = cloneGroups(DEFAULT_GROUPS)
+let groupIndex = new Map() // Map<typeId, Set<groupName>>
+
+world.afterEvents.worldLoad.subscribe(() => {
+    try {
+        const existing = world.getDynamicProperty('dorios:blockGroups')
+        if (existing) {
+            const table = JSON.parse(existing)
+            aliases = table.aliases ?? {}
+            groups = table.groups ?? {}
+        }
+    } catch {
+        console.warn('[ERROR] Failed to read block groups, resetting...')
+        aliases = { ...DEFAULT_ALIASES }
+        groups = cloneGroups(DEFAULT_GROUPS)
+    }
+    saveBlockGroups()
+})
+
+function rebuildGroupIndex() {
+    groupIndex = new Map()
+    for (const [name, members] of Object.entries(groups)) {
+        for (const typeId of members) {
+            const normalized = normalizeTypeId(typeId)
+            if (!groupIndex.has(normalized)) groupIndex.set(normalized, new Set())
+            groupIndex.get(normalized).add(name)
+        }
+    }
+}
+
+function saveBlockGroups() {
+    rebuildGroupIndex()
+    world.setDynamicProperty('dorios:blockGroups', JSON.stringify({ aliases, groups }))
+}
+
+rebuildGroupIndex()
+
+/**
+ * @param {string} typeId
+ * @returns {string} The type the block is treated as.
+ */
+export function normalizeTypeId(typeId) {
+    if (!typeId) return typeId
+    return aliases[typeId] ?? typeId
+}
+
+/**
+ * @param {string} typeId Normalized type ID.
+ * @param {string} otherTypeId Normalized type ID.
+ * @returns {boolean} True if both blocks are in at least one common connect
+ *   group, or in none at all: listed blocks outside every group (modded ores,
+ *   custom entries) keep connecting to each other as before groups existed.
+ */
+export function isSameConnectGroup(typeId, otherTypeId) {
+    const typeGroups = groupIndex.get(typeId)
+    const otherGroups = groupIndex.get(otherTypeId)
+    if (!typeGroups && !otherGroups) return true
+    if (!typeGroups || !otherGroups) return false
+
+    for (const name of typeGroups) {
+        if (otherGroups.has(name)) return true
+    }
+    return false
+}
+
+/**
+ * @returns {Record<string, string>} Copy of the alias table.
+ */
+export function getAliasTable() {
+    return { ...aliases }
+}
+
+/**
+ * @param {string} typeId Block type that gets the alias.
+ * @param {string} target Block type it is treated as.
+ */
+export function setAlias(typeId, target) {
+    aliases[typeId] = target
+    saveBlockGroups()
+}
+
+/**
+ * @param {string} typeId
+ * @returns {boolean} False if the block had no alias.
+ */
+export function removeAlias(typeId) {
+    if (!(typeId in aliases)) return false
+
+    delete aliases[typeId]
+    saveBlockGroups()
+    return true
+}
+
+/**
+ * @returns {Record<string, string[]>} Copy of the connect groups.
+ */
+export function getConnectGroups() {
+    return cloneGroups(groups)
+}
+
+/**
+ * Adds a block to a connect group, creating the group if needed.
+ * @param {string} name
+ * @param {string} typeId
+ */
+export function addToConnectGroup(name, typeId) {
+    const members = groups[name] ?? []
+    if (!members.includes(typeId)) members.push(typeId)
+    groups[name] = members
+    saveBlockGroups()
+}
+
+/**
+ * Removes a block from a connect group. Empty groups are deleted.
+ * @param {string} name
+ * @param {string} typeId
+ * @returns {boolean} False if the block was not in the group.
+ */
+export function removeFromConnectGroup(name, typeId) {
+    const members = groups[name]
+    const index = members ? members.indexOf(typeId) : -1
+    if (index === -1) return false
+
+    members.splice(index, 1)
+    if (members.length === 0) delete groups[name]
+    saveBlockGroups()
+    return true
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} False if the group did not exist.
+ */
+export function removeConnectGroup(name) {
+    if (!(name in groups)) return false
+
+    delete groups[name]
+    saveBlockGroups()
+    return true
+}
@@ -0,0 +1,167 @@
+import { blacklist } from 'global_variables.js'
+
+/*
+ * Block list entries.
+ *
+ * Besides plain type IDs, the vein lists and the blacklist accept:
+ *   *_ore, utilitycraft:*           wildcards over the type ID
+ *   #minecraft:is_pickaxe_item_destructible   block tags
+ *   minecraft:wheat[growth=7]       block-state predicates, on any of the above
+ *
+ * Type IDs without a namespace get 'minecraft:', as the block command
+ * parameter did: iron_ore means minecraft:iron_ore. Wildcards starting with
+ * '*' already cover every namespace and tags are kept as written.
+ */
+
+const PATTERN_REGEX = /^(#)?([^[\]]+)(?:\[([^\]]*)\])?$/
+const MAX_CACHED_MATCHERS = 64
+
+const matcherCache = new Map() // Map<entries key, matcher>
+
+function parseStateValue(value) {
+    if (value === 'true') return true
+    if (value === 'false') return false
+    if (value !== '' && Number.isFinite(Number(value))) return Number(value)
+    return value
+}
+
+function wildcardToRegex(body) {
+    const escaped = body.replace(/[.+?^${}()|\\]/g, '\\$&').replace(/\*/g, '.*')
+    return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * @param {string} entry
+ * @returns {string|null} The entry as it should be stored, null if it is not a valid pattern.
+ */
+export function normalizeBlockPattern(entry) {
+    const text = String(entry ?? '').trim()
+    const match = PATTERN_REGEX.exec(text)
+    if (!match) return null
+
+    const [, isTag, body] = match
+    if (isTag || body.includes(':') || body.startsWith('*')) return text
+    return `minecraft:${text}`
+}
+
+/**
+ * Parses a list entry.
+ * @param {string} entry
+ * @returns {{typeId?: string, regex?: RegExp, tag?: string, states?: Record<string, string|number|boolean>}|null}
+ *   Null if the entry is not a valid pattern.
+ */
+export function parseBlockPattern(entry) {
+    const match = PATTERN_REGEX.exec(normalizeBlockPattern(entry) ?? '')
+    if (!match) return null
+
+    const [, isTag, body, stateList] = match
+    const pattern = {}
+
+    if (isTag) {
+        pattern.tag = body
+    } else if (body.includes('*')) {
+        pattern.regex = wildcardToRegex(body)
+    } else {
+        pattern.typeId = body
+    }
+
+    if (stateList !== undefined) {
+        pattern.states = {}
+        for (const part of stateList.split(',')) {
+            const [name, value, extra] = part.split('=').map(text => text.trim())
+            if (!name || value === undefined || extra !== undefined) return null
+            pattern.states[name] = parseStateValue(value)
+        }
+    }
+
+    return pattern
+}
+
+/**
+ * @param {string} entry
+ * @returns {boolean} True if the entry is a plain block type ID.
+ */
+export function isPlainBlockId(entry) {
+    const pattern = parseBlockPattern(entry)
+    return !!pattern?.typeId && !pattern.states
+}
+
+/**
+ * Tag and state patterns need the permutation and never match without it.
+ * @param {ReturnType<typeof parseBlockPattern>} pattern
+ * @param {string} typeId
+ * @param {BlockPermutation} [permutation]
+ */
+function matchesBlockPattern(pattern, typeId, permutation) {
+    if (pattern.typeId && pattern.typeId !== typeId) return false
+    if (pattern.regex && !pattern.regex.test(typeId)) return false
+    if (pattern.tag && !permutation?.hasTag(pattern.tag)) return false
+
+    if (pattern.states) {
+        if (!permutation) return false
+
+        for (const [name, value] of Object.entries(pattern.states)) {
+            try {
+                if (permutation.getState(name) !== value) return false
+            } catch {
+                return false
+            }
+        }
+    }
+
+    return true
+}
+
+function createBlockMatcher(entries) {
+    const exact = new Set()
+    const patterns = []
+
+    for (const entry of entries) {
+        const pattern = parseBlockPattern(entry)
+        if (!pattern) continue
+
+        if (pattern.typeId && !pattern.states) {
+            exact.add(pattern.typeId)
+        } else {
+            patterns.push(pattern)
+        }
+    }
+
+    return {
+        size: exact.size + patterns.length,
+        has(typeId, permutation) {
+            if (exact.has(typeId)) return true
+            return patterns.some(pattern => matchesBlockPattern(pattern, typeId, permutation))
+        },
+    }
+}
+
+/**
+ * Returns a matcher for a list of entries. Matchers are cached by list content,
+ * so lists edited in place are picked up on the next call.
+ * @param {string[]} entries
+ * @returns {{size: number, has(typeId: string, permutation?: BlockPermutation): boolean}}
+ */
+export function getBlockMatcher(entries) {
+    const key = entries.join('\n')
+    let matcher = matcherCache.get(key)
+
+    if (!matcher) {
+        matcher = createBlockMatcher(entries)
+        matcherCache.set(key, matcher)
+        if (matcherCache.size > MAX_CACHED_MATCHERS) {
+            matcherCache.delete(matcherCache.keys().next().value)
+        }
+    }
+
+    return matcher
+}
+
+/**
+ * @param {string} typeId
+ * @param {BlockPermutation} [permutation]
+ * @returns {boolean} True if the block matches an entry of the blacklist.
+ */
+export function isBlacklisted(typeId, permutation) {
+    return getBlockMatcher(blacklist).has(typeId, permutation)
+}
@@ -0,0 +1,233 @@
+import { world } from '@minecraft/server'
+
+const MAX_HISTORY_RUNS = 10
+const histories = new Map() // Map<playerId, run[]>
+
+function isEntityValid(entity) {
+    try {
+        return typeof entity?.isValid === 'function' ? entity.isValid() : !!entity?.isValid
+    } catch {
+        return false
+    }
+}
+
+function isAirBlock(block) {
+    return !block || block.typeId === 'minecraft:air'
+}
+
+/**
+ * Creates an empty history record for a single excavation run.
+ * @param {Player} player
+ * @param {Dimension} dimension
+ */
+export function createHistoryRun(player, dimension) {
+    return {
+        playerId: player.id,
+        dimensionId: dimension.id,
+        blocks: [], // { location, permutation }
+        loot: [],   // { entity, item, amount }
+        xp: 0,      // Experience given, Mending repairs included
+    }
+}
+
+/**
+ * Records a block removed by the run so it can be restored later.
+ * @param {object} run
+ * @param {import('@minecraft/server').Vector3} location
+ * @param {BlockPermutation} permutation
+ */
+export function recordRemovedBlock(run, location, permutation) {
+    if (!run || !permutation) return
+    run.blocks.push({ location: { ...location }, permutation })
+}
+
+/**
+ * Records an item stack spawned (or given) by the run.
+ * @param {object} run
+ * @param {ItemStack} itemStack
+ * @param {Entity} [entity] The dropped item entity, if the stack was spawned in the world.
+ */
+export function recordSpawnedLoot(run, itemStack, entity) {
+    if (!run || !itemStack) return
+    run.loot.push({ entity, item: itemStack.clone(), amount: itemStack.amount })
+}
+
+/**
+ * Records experience the run gave, either as points or as a Mending repair.
+ * @param {object} run
+ * @param {number} xp
+ */
+export function recordExperience(run, xp) {
+    if (!run || !(xp > 0)) return
+    run.xp += xp
+}
+
+/**
+ * Stores a finished run in the player's history, dropping the oldest entries past the cap.
+ * @param {object} run
+ */
+export function commitHistoryRun(run) {
+    if (!run || run.blocks.length === 0) return
+
+    const history = histories.get(run.playerId) ?? []
+    history.push(run)
+    while (history.length > MAX_HISTORY_RUNS) history.shift()
+    histories.set(run.playerId, history)
+}
+
+/**
+ * @param {string} playerId
+ * @returns {number} Amount of runs that can still be undone.
+ */
+export function getHistorySize(playerId) {
+    return histories.get(playerId)?.length ?? 0
+}
+
+function getEnchantmentKey(item) {
+    try {
+        const enchantments = item.getComponent('enchantable')?.getEnchantments() ?? []
+        return enchantments.map(({ type, level }) => `${type.id}:${level}`).sort().join(',')
+    } catch {
+        return ''
+    }
+}
+
+// Unstackable items never stack with each other, so compare what tells them apart.
+function isSameUnstackable(stack, item) {
+    if (stack.nameTag !== item.nameTag) return false
+    if (stack.getLore().join('\n') !== item.getLore().join('\n')) return false
+    if (stack.getComponent('durability')?.damage !== item.getComponent('durability')?.damage) return false
+    return getEnchantmentKey(stack) === getEnchantmentKey(item)
+}
+
+function isSameLoot(stack, item) {
+    if (stack.typeId !== item.typeId) return false
+    return item.maxAmount === 1 ? isSameUnstackable(stack, item) : stack.isStackableWith(item)
+}
+
+// Mending repairs can't be told apart from later ones, so they are taken back as points too.
+function takeExperience(player, amount) {
+    if (amount <= 0 || !isEntityValid(player)) return 0
+
+    const taken = Math.min(amount, player.getTotalXp())
+    if (taken > 0) player.addExperience(-taken)
+    return taken
+}
+
+function takeFromInventory(player, item, amount) {
+    const container = player?.getComponent('inventory')?.container
+    if (!container) return 0
+
+    let taken = 0
+    for (let slot = 0; slot < container.size && taken < amount; slot++) {
+        const stack = container.getItem(slot)
+        if (!stack || !isSameLoot(stack, item)) continue
+
+        const take = Math.min(stack.amount, amount - taken)
+        if (take >= stack.amount) {
+            container.setItem(slot)
+        } else {
+            stack.amount -= take
+            container.setItem(slot, stack)
+        }
+        taken += take
+    }
+
+    return taken
+}
+
+// Takes back one loot entry, from its item entity when it is still there and
+// from the inventory otherwise. Returns the amount taken back.
+function reclaimLoot(entry, player, dim) {
+    let taken = 0
+
+    if (isEntityValid(entry.entity)) {
+        const stack = entry.entity.getComponent('item')?.itemStack
+        if (stack && isSameLoot(stack, entry.item)) {
+            const { location } = entry.entity
+            taken = Math.min(stack.amount, entry.amount)
+            entry.entity.remove()
+
+            // The entity may have merged with other drops, those stay in the world.
+            if (stack.amount > taken) {
+                stack.amount -= taken
+                dim.spawnItem(stack, location)
+            }
+        }
+    }
+
+    if (taken < entry.amount) taken += takeFromInventory(player, entry.item, entry.amount - taken)
+    return taken
+}
+
+function undoRun(run, player) {
+    const summary = { restored: 0, skipped: 0, kept: 0, reclaimed: 0 }
+    const dim = world.getDimension(run.dimensionId)
+
+    const expected = run.loot.reduce((sum, entry) => sum + entry.amount, 0)
+    for (const entry of run.loot) {
+        try {
+            summary.reclaimed += reclaimLoot(entry, player, dim)
+        } catch { }
+    }
+
+    // Only as many blocks come back as the reclaimed loot and experience pay for.
+    let share = expected > 0 ? summary.reclaimed / expected : 1
+    if (run.xp > 0) share = Math.min(share, takeExperience(player, Math.ceil(run.xp * share)) / run.xp)
+    let allowed = Math.floor(run.blocks.length * share)
+
+    for (let i = run.blocks.length - 1; i >= 0; i--) {
+        if (allowed <= 0) {
+            summary.kept++
+            continue
+        }
+
+        const { location, permutation } = run.blocks[i]
+        try {
+            const block = dim.getBlock(location)
+            if (!block || !isAirBlock(block)) {
+                summary.skipped++
+                continue
+            }
+
+            block.setPermutation(permutation)
+            summary.restored++
+            allowed--
+        } catch {
+            summary.skipped++
+        }
+    }
+
+    return summary
+}
+
+/**
+ * Undoes the latest excavation runs of a player.
+ *
+ * Takes back the loot that can still be found, either as dropped items or in
+ * the inventory of `player`, then restores removed blocks whose position is
+ * still air. The experience the runs gave is taken back as well. Blocks are
+ * only restored in proportion to the loot and experience taken back, so loot
+ * stored away elsewhere or experience already spent keeps its blocks mined.
+ *
+ * @param {string} playerId Owner of the history to undo.
+ * @param {Player} player Player whose inventory is used to reclaim picked up loot.
+ * @param {number} count How many runs to undo, newest first.
+ * @returns {{ runs: number, restored: number, skipped: number, kept: number, reclaimed: number }}
+ *   `kept` counts the blocks left mined because their loot or experience was missing.
+ */
+export function undoExcavations(playerId, player, count = 1) {
+    const history = histories.get(playerId) ?? []
+    const total = { runs: 0, restored: 0, skipped: 0, kept: 0, reclaimed: 0 }
+
+    while (total.runs < count && history.length > 0) {
+        const summary = undoRun(history.pop(), player)
+        total.runs++
+        total.restored += summary.restored
+        total.skipped += summary.skipped
+        total.kept += summary.kept
+        total.reclaimed += summary.reclaimed
+    }
+
+    return total
+}
@@ -0,0 +1,268 @@
+import { world, system } from '@minecraft/server'
+import { isActivationActive } from 'activation.js'
+
+/*
+ * Excavation job scheduler.
+ *
+ * Every run is queued as a job: a generator that breaks one block per step
+ * and yields how many ticks to wait before its next step. A single loop runs
+ * at most 'dorios:blocksPerTick' steps per tick across all players, handing
+ * them out round-robin so every player with a job gets the same share.
+ * A player's runs are handled one at a time, in the order they started.
+ *
+ * A job's generator is started as soon as it is queued and has to stop at a
+ * first `yield` inside its `try`, before breaking anything. Cancelling a job
+ * returns its generator, so the run's `finally` still replants and drops the
+ * loot collected so far, even for a job that was still waiting in the queue.
+ * Jobs cancel themselves when the player leaves, and, as the admin configures,
+ * when they die, change dimension, move away from the origin or stop
+ * activating Excavate.
+ */
+
+export const DEFAULT_BLOCKS_PER_TICK = 64
+
+export const DEFAULT_CANCEL_RULES = {
+    onDeath: true,
+    onDimensionChange: true,
+    distance: 32,
+    onRelease: false,
+}
+
+const jobs = [] // Every queued job, oldest first.
+let cursor = 0 // Rotates who gets the leftover share of the budget.
+
+/**
+ * @returns {number} Blocks the scheduler may break per tick across all players.
+ */
+export function getBlocksPerTick() {
+    const value = Number(world.getDynamicProperty('dorios:blocksPerTick'))
+    return Number.isFinite(value) && value >= 1 ? Math.floor(value) : DEFAULT_BLOCKS_PER_TICK
+}
+
+/**
+ * @param {number} value
+ */
+export function setBlocksPerTick(value) {
+    world.setDynamicProperty('dorios:blocksPerTick', Math.max(1, Math.floor(value)))
+}
+
+/**
+ * @returns {{onDeath: boolean, onDimensionChange: boolean, distance: number, onRelease: boolean}}
+ */
+export function getCancelRules() {
+    const read = (propertyId, fallback) => {
+        const value = world.getDynamicProperty(propertyId)
+        return typeof value === typeof fallback ? value : fallback
+    }
+
+    return {
+        onDeath: read('dorios:cancelOnDeath', DEFAULT_CANCEL_RULES.onDeath),
+        onDimensionChange: read('dorios:cancelOnDimensionChange', DEFAULT_CANCEL_RULES.onDimensionChange),
+        distance: Math.max(0, read('dorios:cancelDistance', DEFAULT_CANCEL_RULES.distance)),
+        onRelease: read('dorios:cancelOnRelease', DEFAULT_CANCEL_RULES.onRelease),
+    }
+}
+
+/**
+ * @param {{onDeath?: boolean, onDimensionChange?: boolean, distance?: number, onRelease?: boolean}} rules
+ */
+export function setCancelRules(rules) {
+    if (rules.onDeath !== undefined) world.setDynamicProperty('dorios:cancelOnDeath', !!rules.onDeath)
+    if (rules.onDimensionChange !== undefined) world.setDynamicProperty('dorios:cancelOnDimensionChange', !!rules.onDimensionChange)
+    if (rules.distance !== undefined) world.setDynamicProperty('dorios:cancelDistance', Math.max(0, Math.floor(rules.distance)))
+    if (rules.onRelease !== undefined) world.setDynamicProperty('dorios:cancelOnRelease', !!rules.onRelease)
+}
+
+function isPlayerValid(player) {
+    try {
+        return typeof player?.isValid === 'function' ? player.isValid() : !!player?.isValid
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Queues a run.
+ * @param {Player} player
+ * @param {Generator<number, void>} steps Yields once when ready, then breaks one block per step
+ *   and yields the ticks to wait.
+ * @param {number} total Blocks the run expects to break, for the status.
+ * @param {Block} origin Block the run started from, for the distance and dimension checks.
+ * @param {boolean} [autoPickup] Whether the run's loot goes to the inventory, for the cancel summary.
+ * @returns {Promise<void>} Resolves once the run has finished or was cancelled.
+ */
+export function runJob(player, steps, total, origin, autoPickup = false) {
+    return new Promise(resolve => {
+        try {
+            if (steps.next().done) {
+                resolve()
+                return
+            }
+        } catch (e) {
+            console.warn(`[Excavate] Job of ${player.name} failed: ${e}`)
+            resolve()
+            return
+        }
+
+        jobs.push({
+            player,
+            playerId: player.id,
+            playerName: player.name,
+            steps,
+            total,
+            done: 0,
+            wakeTick: 0,
+            dimensionId: origin.dimension.id,
+            origin: { ...origin.location },
+            autoPickup,
+            resolve,
+        })
+    })
+}
+
+function finishJob(job) {
+    const index = jobs.indexOf(job)
+    if (index !== -1) jobs.splice(index, 1)
+    job.resolve()
+}
+
+function cancelJob(job) {
+    try {
+        job.steps.return()
+    } catch (e) {
+        console.warn(`[Excavate] Cancelling the job of ${job.playerName} failed: ${e}`)
+    }
+    finishJob(job)
+}
+
+/**
+ * Cancels every run of a player, the active one and the queued ones.
+ * @param {string} playerId
+ * @param {string} [reason] Shown to the player in the summary, no summary when omitted.
+ * @returns {number} Amount of runs cancelled.
+ */
+export function cancelPlayerJobs(playerId, reason) {
+    const cancelled = jobs.filter(job => job.playerId === playerId)
+    if (cancelled.length === 0) return 0
+
+    const [active] = cancelled
+    for (const job of cancelled) cancelJob(job)
+
+    if (reason && isPlayerValid(active.player)) {
+        const loot = active.autoPickup ? 'loot sent to your inventory' : 'loot dropped'
+        const queued = cancelled.length > 1 ? `, ${cancelled.length - 1} queued run(s) discarded` : ''
+        active.player.sendMessage(`§eExcavate cancelled (${reason}): ${active.done}/${active.total} blocks broken, ${loot}${queued}`)
+    }
+
+    return cancelled.length
+}
+
+// Why the player's active job should stop, or null to keep going.
+function getCancelReason(job, rules) {
+    const { player } = job
+    if (!isPlayerValid(player)) return 'left'
+
+    if (player.dimension.id !== job.dimensionId) {
+        return rules.onDimensionChange ? 'changed dimension' : null
+    }
+
+    if (rules.distance > 0) {
+        const dx = player.location.x - job.origin.x
+        const dy = player.location.y - job.origin.y
+        const dz = player.location.z - job.origin.z
+        if (dx * dx + dy * dy + dz * dz > rules.distance * rules.distance) return 'too far from the origin'
+    }
+
+    if (rules.onRelease && !isActivationActive(player)) return 'released'
+
+    return null
+}
+
+// Runs one step. Returns true if the job may take another step this tick.
+function stepJob(job) {
+    let result
+    try {
+        result = job.steps.next()
+    } catch (e) {
+        console.warn(`[Excavate] Job of ${job.playerName} failed: ${e}`)
+        finishJob(job)
+        return false
+    }
+
+    if (result.done) {
+        finishJob(job)
+        return false
+    }
+
+    job.done++
+    if (result.value > 0) {
+        job.wakeTick = system.currentTick + result.value
+        return false
+    }
+    return true
+}
+
+/**
+ * The job each player is running, first queued first.
+ * @returns {Array<{playerId: string, playerName: string, total: number, done: number}>}
+ */
+export function getActiveJobs() {
+    const seen = new Set()
+    const active = []
+
+    for (const job of jobs) {
+        if (seen.has(job.playerId)) continue
+        seen.add(job.playerId)
+        active.push(job)
+    }
+
+    return active
+}
+
+/**
+ * @returns {{queued: number, active: Array<{playerName: string, total: number, done: number}>}}
+ */
+export function getJobStatus() {
+    const active = getActiveJobs()
+    return {
+        queued: jobs.length - active.length,
+        active: active.map(({ playerName, total, done }) => ({ playerName, total, done })),
+    }
+}
+
+system.runInterval(() => {
+    if (jobs.length === 0) return
+
+    const rules = getCancelRules()
+    for (const job of getActiveJobs()) {
+        const reason = getCancelReason(job, rules)
+        if (reason) cancelPlayerJobs(job.playerId, reason)
+    }
+
+    const tick = system.currentTick
+    const runnable = getActiveJobs().filter(job => job.wakeTick <= tick)
+    if (runnable.length === 0) return
+
+    const start = cursor++ % runnable.length
+    const order = [...runnable.slice(start), ...runnable.slice(0, start)]
+    let budget = getBlocksPerTick()
+
+    while (budget > 0 && order.length > 0) {
+        for (let i = 0; i < order.length && budget > 0;) {
+            budget--
+            if (stepJob(order[i])) {
+                i++
+            } else {
+                order.splice(i, 1)
+            }
+        }
+    }
+}, 1)
+
+world.afterEvents.entityDie.subscribe(e => {
+    if (getCancelRules().onDeath) cancelPlayerJobs(e.deadEntity.id, 'died')
+}, { entityTypes: ['minecraft:player'] })
+
+world.afterEvents.playerLeave.subscribe(e => {
+    cancelPlayerJobs(e.playerId)
+})
@@ -13,6 +13,21 @@ const worldDefaults = {
     'dorios:saturationCost': 1,
     'dorios:breakDelayEvery': 32,
     'dorios:breakDelayTicks': 1,
+    'dorios:autoSmeltUnlocked': false,
+    'dorios:autoSmeltFuelCost': true,
+    'dorios:maxTunnelWidth': 9,
+    'dorios:maxTunnelHeight': 9,
+    'dorios:maxTunnelLength': 64,
+    'dorios:maxRadius': 4,
+    'dorios:ledgerEnabled': true,
+    'dorios:treeMaxSpread': 6,
+    'dorios:cooldownPer100Blocks': 0,
+    'dorios:blocksPerMinute': 0,
+    'dorios:blocksPerTick': 64,
+    'dorios:cancelOnDeath': true,
+    'dorios:cancelOnDimensionChange': true,
+    'dorios:cancelDistance': 32,
+    'dorios:cancelOnRelease': false,
 }
 
 export function setMaxLimit(num) {
@@ -2,6 +2,7 @@ import { ItemStack, world } from "@minecraft/server";
 
 /**
  * @typedef {Object} DurabilityHandler
+ * @property {(amount: number) => ItemStack|null} repair
  * @property {(amount: number, chance?: number) => boolean} damage
  * @property {() => number} getDamage
  * @property {() => number} getMax
@@ -26,7 +27,7 @@ const DurabilityHandler = {
         if (!durability) return null;
 
         durability.damage = Math.max(durability.damage - amount, 0);
-        return
+        return this.item;
     },
     /**
      * Apply durability damage to the item.
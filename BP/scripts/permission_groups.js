@@ -0,0 +1,112 @@
+import { world } from '@minecraft/server'
+
+/*
+ * Permission groups.
+ *
+ * A group is keyed on a player tag and sets the max blocks per run (in place
+ * of the world limit, so it can be higher or lower), the allowed shapes,
+ * durability and hunger cost multipliers and a cooldown between runs
+ * (enforced by rate_limit.js). A player belongs to the first group whose tag
+ * they have; players without any group tag fall back to the `excavate:default`
+ * group when it exists, and to the world settings otherwise.
+ */
+
+export const DEFAULT_GROUP_TAG = 'excavate:default'
+
+// Hard cap for a group limit, the same as for the world limit.
+export const MAX_GROUP_LIMIT = 4096
+
+let groups = []
+
+world.afterEvents.worldLoad.subscribe(() => {
+    try {
+        const parsed = JSON.parse(world.getDynamicProperty('dorios:permissionGroups') ?? '[]')
+        groups = Array.isArray(parsed) ? parsed : []
+    } catch {
+        console.warn('[ERROR] Failed to read permission groups, resetting...')
+        groups = []
+    }
+})
+
+function saveGroups() {
+    world.setDynamicProperty('dorios:permissionGroups', JSON.stringify(groups))
+}
+
+/**
+ * @returns {Array<{tag: string, maxLimit: number, shapes: string[], durabilityMultiplier: number, hungerMultiplier: number, cooldown: number}>}
+ */
+export function getPermissionGroups() {
+    return groups.map(group => ({ ...group }))
+}
+
+/**
+ * Adds a group or replaces the one with the same tag. `maxLimit` 0 keeps the
+ * world limit, an empty `shapes` allows every shape, `cooldown` is in seconds.
+ * @param {{tag: string, maxLimit: number, shapes: string[], durabilityMultiplier: number, hungerMultiplier: number, cooldown: number}} group
+ */
+export function setPermissionGroup(group) {
+    const index = groups.findIndex(entry => entry.tag === group.tag)
+    if (index === -1) {
+        groups.push(group)
+    } else {
+        groups[index] = group
+    }
+    saveGroups()
+}
+
+/**
+ * @param {string} tag
+ * @returns {boolean} False if there was no such group.
+ */
+export function removePermissionGroup(tag) {
+    const next = groups.filter(entry => entry.tag !== tag)
+    if (next.length === groups.length) return false
+
+    groups = next
+    saveGroups()
+    return true
+}
+
+/**
+ * @param {Player} player
+ * @returns {{tag: string, maxLimit: number, shapes: string[], durabilityMultiplier: number, hungerMultiplier: number, cooldown: number}|null}
+ */
+export function getPlayerGroup(player) {
+    if (groups.length === 0) return null
+
+    return groups.find(group => group.tag !== DEFAULT_GROUP_TAG && player.hasTag(group.tag)) ??
+        groups.find(group => group.tag === DEFAULT_GROUP_TAG) ??
+        null
+}
+
+/**
+ * @param {Player} player
+ * @param {number} worldLimit
+ * @returns {number} The player's group limit when the group sets one, the world limit otherwise.
+ */
+export function getGroupLimit(player, worldLimit) {
+    const groupLimit = getPlayerGroup(player)?.maxLimit
+    return groupLimit > 0 ? Math.min(groupLimit, MAX_GROUP_LIMIT) : worldLimit
+}
+
+/**
+ * @param {Player} player
+ * @param {string} shape
+ * @returns {boolean} True if the player's group lets them use the shape.
+ */
+export function isShapeAllowedForPlayer(player, shape) {
+    const shapes = getPlayerGroup(player)?.shapes
+    return !shapes?.length || shapes.includes(shape)
+}
+
+/**
+ * @param {Player} player
+ * @returns {{durability: number, hunger: number}}
+ */
+export function getCostMultipliers(player) {
+    const group = getPlayerGroup(player)
+    return {
+        durability: Math.max(0, group?.durabilityMultiplier ?? 1),
+        hunger: Math.max(0, group?.hungerMultiplier ?? 1),
+    }
+}
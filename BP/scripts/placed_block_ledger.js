@@ -0,0 +1,184 @@
+import { world, system } from '@minecraft/server'
+
+/*
+ * Ledger of player-placed blocks.
+ *
+ * Positions are grouped by 16x16x16 chunk section. Each section is stored in
+ * one world dynamic property as a palette of the placed block types, a `|`,
+ * then a comma separated list of `index.palette` pairs in base36, the index
+ * being ((y << 8) | (x << 4) | z). A full section of a few block types still
+ * fits in a single property. Loaded sections are cached least recently used first and evicted
+ * past MAX_CACHED_SECTIONS once they have been flushed.
+ *
+ * Entries are dropped when a player breaks the block, when it explodes or is
+ * pushed by a piston, and when the block found there is no longer the type
+ * that was placed (a sapling grown into a tree, a block removed by `/fill` or
+ * a fluid). Other changes that keep the type, like a block moved by another
+ * addon, still leave stale entries behind.
+ */
+
+const PROPERTY_PREFIX = 'dorios:placed:'
+const FLUSH_INTERVAL_TICKS = 20
+const MAX_CACHED_SECTIONS = 1024
+
+const sections = new Map() // Map<sectionKey, Map<localIndex, typeId>>, least recently used first
+const dirtySections = new Set()
+
+function getDimensionKey(dimension) {
+    const id = typeof dimension === 'string' ? dimension : dimension.id
+    return id.replace('minecraft:', '')
+}
+
+function getSectionKey(dimension, pos) {
+    return `${getDimensionKey(dimension)}:${pos.x >> 4},${pos.y >> 4},${pos.z >> 4}`
+}
+
+function getLocalIndex(pos) {
+    return ((pos.y & 15) << 8) | ((pos.x & 15) << 4) | (pos.z & 15)
+}
+
+// Drops the least recently used sections with no unsaved changes, never `keepKey`.
+function evictSections(keepKey) {
+    for (const sectionKey of sections.keys()) {
+        if (sections.size <= MAX_CACHED_SECTIONS) return
+        if (sectionKey !== keepKey && !dirtySections.has(sectionKey)) sections.delete(sectionKey)
+    }
+}
+
+function loadSection(sectionKey) {
+    let section = sections.get(sectionKey)
+    if (section) {
+        sections.delete(sectionKey)
+        sections.set(sectionKey, section)
+        return section
+    }
+
+    section = new Map()
+    const raw = world.getDynamicProperty(PROPERTY_PREFIX + sectionKey)
+    if (typeof raw === 'string' && raw.length > 0) {
+        const [paletteText, entriesText] = raw.split('|')
+        const palette = paletteText.split(',')
+
+        for (const entry of (entriesText ?? '').split(',')) {
+            const [index, paletteIndex] = entry.split('.').map(text => parseInt(text, 36))
+            const typeId = palette[paletteIndex]
+            if (Number.isFinite(index) && typeId) section.set(index, typeId)
+        }
+    }
+
+    sections.set(sectionKey, section)
+    evictSections(sectionKey)
+    return section
+}
+
+function serializeSection(section) {
+    const palette = [...new Set(section.values())]
+    const entries = [...section].map(([index, typeId]) => `${index.toString(36)}.${palette.indexOf(typeId).toString(36)}`)
+    return `${palette.join(',')}|${entries.join(',')}`
+}
+
+function flushSections() {
+    for (const sectionKey of dirtySections) {
+        const section = sections.get(sectionKey)
+        const value = section && section.size > 0 ? serializeSection(section) : undefined
+
+        world.setDynamicProperty(PROPERTY_PREFIX + sectionKey, value)
+    }
+    dirtySections.clear()
+    evictSections()
+}
+
+/**
+ * @returns {boolean} True if excavation must skip player-placed blocks.
+ */
+export function isLedgerEnabled() {
+    return world.getDynamicProperty('dorios:ledgerEnabled') ?? true
+}
+
+// Lit furnaces, powered repeaters and the like are still the block that was placed.
+function getPlacedType(typeId) {
+    return typeId.replace(/^minecraft:(lit_|unlit_|powered_|unpowered_)/, 'minecraft:')
+}
+
+function getBlockType(dimension, pos) {
+    try {
+        const dim = typeof dimension === 'string' ? world.getDimension(dimension) : dimension
+        const typeId = dim.getBlock(pos)?.typeId
+        return typeId === undefined ? undefined : getPlacedType(typeId)
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Drops the entry when the block at `pos` is no longer the type that was placed.
+ * @param {Dimension|string} dimension
+ * @param {import('@minecraft/server').Vector3} pos
+ * @returns {boolean} True if a player placed the block at `pos`.
+ */
+export function isPlacedBlock(dimension, pos) {
+    const sectionKey = getSectionKey(dimension, pos)
+    const section = loadSection(sectionKey)
+    const index = getLocalIndex(pos)
+    const placedType = section.get(index)
+    if (!placedType) return false
+
+    const typeId = getBlockType(dimension, pos)
+    if (typeId === undefined || typeId === placedType) return true
+
+    section.delete(index)
+    dirtySections.add(sectionKey)
+    return false
+}
+
+/**
+ * @param {Dimension|string} dimension
+ * @param {import('@minecraft/server').Vector3} pos
+ * @returns {boolean} True if excavation has to leave the block at `pos` alone.
+ */
+export function isPlacedBlockProtected(dimension, pos) {
+    return isLedgerEnabled() && isPlacedBlock(dimension, pos)
+}
+
+/**
+ * @param {Dimension|string} dimension
+ * @param {import('@minecraft/server').Vector3} pos
+ * @param {string} typeId Type of the placed block.
+ */
+export function markPlacedBlock(dimension, pos, typeId) {
+    const sectionKey = getSectionKey(dimension, pos)
+    loadSection(sectionKey).set(getLocalIndex(pos), getPlacedType(typeId))
+    dirtySections.add(sectionKey)
+}
+
+export function unmarkPlacedBlock(dimension, pos) {
+    const sectionKey = getSectionKey(dimension, pos)
+    if (loadSection(sectionKey).delete(getLocalIndex(pos))) {
+        dirtySections.add(sectionKey)
+    }
+}
+
+world.afterEvents.playerPlaceBlock.subscribe(e => {
+    const { block } = e
+    markPlacedBlock(block.dimension, block.location, block.typeId)
+})
+
+world.afterEvents.playerBreakBlock.subscribe(e => {
+    const { block } = e
+    unmarkPlacedBlock(block.dimension, block.location)
+})
+
+world.afterEvents.blockExplode.subscribe(e => {
+    unmarkPlacedBlock(e.dimension, e.block.location)
+})
+
+// Pushed blocks lose their mark: the ledger does not follow them to where they land.
+world.afterEvents.pistonActivate.subscribe(e => {
+    for (const location of e.piston.getAttachedBlocksLocations()) {
+        unmarkPlacedBlock(e.dimension, location)
+    }
+})
+
+system.runInterval(() => {
+    if (dirtySections.size > 0) flushSections()
+}, FLUSH_INTERVAL_TICKS)
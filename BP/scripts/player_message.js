@@ -0,0 +1,13 @@
+import { system } from '@minecraft/server'
+
+/**
+ * Shows a message on the player's action bar on the next tick, so it is safe
+ * to call from before-events and command callbacks.
+ * @param {Player} player
+ * @param {string} text Plain text or a translation key.
+ */
+export function playerMessage(player, text) {
+    system.run(() => {
+        player.onScreenDisplay.setActionBar({ translate: text })
+    })
+}
@@ -0,0 +1,131 @@
+import { world } from '@minecraft/server'
+
+/*
+ * Named presets of shape, limit, Vein Connect and the personal block list.
+ * Personal presets live in the player's 'dorios:presets' property; server
+ * presets published by admins live in the world's 'dorios:serverPresets'.
+ */
+
+export const MAX_PRESET_NAME_LENGTH = 32
+
+function readPresetTable(raw) {
+    try {
+        const parsed = JSON.parse(raw ?? '{}')
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}
+    } catch {
+        console.warn('[ERROR] Failed to read presets, resetting...')
+        return {}
+    }
+}
+
+/**
+ * @param {string} name
+ * @returns {string} The trimmed name, empty if it is not a valid preset name.
+ */
+export function normalizePresetName(name) {
+    const text = String(name ?? '').trim()
+    return text.length <= MAX_PRESET_NAME_LENGTH ? text : ''
+}
+
+/**
+ * @param {Player} player
+ * @returns {Record<string, {shape: string, limit: number, connect: boolean, list: string[]}>}
+ */
+export function getPresets(player) {
+    return readPresetTable(player.getDynamicProperty('dorios:presets'))
+}
+
+/**
+ * @returns {Record<string, {shape: string, limit: number, connect: boolean, list: string[]}>}
+ */
+export function getServerPresets() {
+    return readPresetTable(world.getDynamicProperty('dorios:serverPresets'))
+}
+
+/**
+ * Reads the player's current configuration as a preset.
+ * @param {Player} player
+ */
+export function capturePreset(player) {
+    let list = []
+    try {
+        const parsed = JSON.parse(player.getDynamicProperty('dorios:veinList') ?? '[]')
+        if (Array.isArray(parsed)) list = parsed
+    } catch { }
+
+    return {
+        shape: player.getDynamicProperty('dorios:veinShape') ?? 'shapelessVein',
+        limit: player.getDynamicProperty('dorios:veinLimit') ?? 64,
+        connect: !!player.getDynamicProperty('dorios:veinConnect'),
+        list,
+    }
+}
+
+/**
+ * Makes a preset the player's current configuration.
+ * @param {Player} player
+ * @param {{shape: string, limit: number, connect: boolean, list: string[]}} preset
+ */
+export function applyPreset(player, preset) {
+    player.setDynamicProperty('dorios:veinShape', preset.shape)
+    player.setDynamicProperty('dorios:veinLimit', preset.limit)
+    player.setDynamicProperty('dorios:veinConnect', !!preset.connect)
+    player.setDynamicProperty('dorios:veinList', JSON.stringify(preset.list ?? []))
+}
+
+/**
+ * @param {Player} player
+ * @param {string} name
+ * @param {object} [preset] Preset to store, the player's current configuration by default.
+ */
+export function savePreset(player, name, preset = capturePreset(player)) {
+    const presets = getPresets(player)
+    presets[name] = preset
+    player.setDynamicProperty('dorios:presets', JSON.stringify(presets))
+}
+
+/**
+ * @param {Player} player
+ * @param {string} name
+ * @returns {boolean} False if the player had no such preset.
+ */
+export function deletePreset(player, name) {
+    const presets = getPresets(player)
+    if (!(name in presets)) return false
+
+    delete presets[name]
+    player.setDynamicProperty('dorios:presets', JSON.stringify(presets))
+    return true
+}
+
+/**
+ * Finds a preset by name, personal presets first, then server presets.
+ * @param {Player} player
+ * @param {string} name
+ */
+export function findPreset(player, name) {
+    return getPresets(player)[name] ?? getServerPresets()[name] ?? null
+}
+
+/**
+ * @param {string} name
+ * @param {object} preset
+ */
+export function publishServerPreset(name, preset) {
+    const presets = getServerPresets()
+    presets[name] = preset
+    world.setDynamicProperty('dorios:serverPresets', JSON.stringify(presets))
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} False if there was no such server preset.
+ */
+export function removeServerPreset(name) {
+    const presets = getServerPresets()
+    if (!(name in presets)) return false
+
+    delete presets[name]
+    world.setDynamicProperty('dorios:serverPresets', JSON.stringify(presets))
+    return true
+}
@@ -0,0 +1,163 @@
+import { world, system } from '@minecraft/server'
+import { getPlayerGroup } from 'permission_groups.js'
+
+/*
+ * Per-player rate limiting.
+ *
+ * After each run the player waits the group cooldown plus a cooldown that
+ * grows with the blocks broken ('dorios:cooldownPer100Blocks' seconds per
+ * hundred blocks). On top of that, 'dorios:blocksPerMinute' caps the blocks
+ * broken in any rolling minute; 0 turns the budget off.
+ *
+ * A run reserves its planned blocks and starts its cooldown up front, so runs
+ * started while another is still going are already throttled. It settles to
+ * the blocks it really broke once it ends. Both are kept per player id until
+ * they run out, so leaving and rejoining does not reset them.
+ */
+
+const MINUTE_TICKS = 1200
+const COOLDOWN_DISPLAY_TICKS = 10
+
+const cooldowns = new Map() // Map<playerId, tick the cooldown ends>
+const budgetRuns = new Map() // Map<playerId, Array<{tick, blocks}>>
+
+function getWorldNumber(propertyId, fallback, min, max) {
+    const value = Number(world.getDynamicProperty(propertyId))
+    if (!Number.isFinite(value)) return fallback
+    return Math.min(Math.max(value, min), max)
+}
+
+/**
+ * @returns {{cooldownPer100Blocks: number, blocksPerMinute: number}}
+ */
+export function getRateLimitSettings() {
+    return {
+        cooldownPer100Blocks: getWorldNumber('dorios:cooldownPer100Blocks', 0, 0, 600),
+        blocksPerMinute: Math.floor(getWorldNumber('dorios:blocksPerMinute', 0, 0, Number.MAX_SAFE_INTEGER)),
+    }
+}
+
+// Drops runs older than a minute and returns what is left.
+function getRecentRuns(playerId) {
+    const runs = budgetRuns.get(playerId)
+    if (!runs) return []
+
+    const since = system.currentTick - MINUTE_TICKS
+    while (runs.length > 0 && runs[0].tick <= since) runs.shift()
+    if (runs.length === 0) budgetRuns.delete(playerId)
+    return runs
+}
+
+/**
+ * @param {Player} player
+ * @returns {number} Blocks the player may still break this minute, Infinity without a budget.
+ */
+export function getBudgetLeft(player) {
+    const { blocksPerMinute } = getRateLimitSettings()
+    if (blocksPerMinute <= 0) return Infinity
+
+    const used = getRecentRuns(player.id).reduce((sum, run) => sum + run.blocks, 0)
+    return Math.max(0, blocksPerMinute - used)
+}
+
+// Ticks until enough old runs leave the window for the budget to have room again.
+function getBudgetWait(player) {
+    const { blocksPerMinute } = getRateLimitSettings()
+    if (blocksPerMinute <= 0) return 0
+
+    const runs = getRecentRuns(player.id)
+    let used = runs.reduce((sum, run) => sum + run.blocks, 0)
+
+    for (const run of runs) {
+        if (used < blocksPerMinute) break
+        used -= run.blocks
+        if (used < blocksPerMinute) return run.tick + MINUTE_TICKS - system.currentTick
+    }
+
+    return 0
+}
+
+function startCooldown(playerId, groupSeconds, blocks) {
+    const seconds = groupSeconds + getRateLimitSettings().cooldownPer100Blocks * blocks / 100
+    if (seconds > 0) cooldowns.set(playerId, system.currentTick + Math.ceil(seconds * 20))
+}
+
+/**
+ * Starts the cooldown of a run and charges its planned blocks to the budget.
+ * @param {Player} player
+ * @param {number} blocks Blocks the run plans to break.
+ * @returns {{playerId: string, groupSeconds: number, run: {tick: number, blocks: number}}}
+ *   Reservation to hand to `settleRun` once the run ends.
+ */
+export function reserveRun(player, blocks) {
+    const reservation = {
+        playerId: player.id,
+        groupSeconds: getPlayerGroup(player)?.cooldown ?? 0,
+        run: { tick: system.currentTick, blocks },
+    }
+
+    startCooldown(reservation.playerId, reservation.groupSeconds, blocks)
+
+    if (getRateLimitSettings().blocksPerMinute > 0 && blocks > 0) {
+        const runs = budgetRuns.get(player.id) ?? []
+        runs.push(reservation.run)
+        budgetRuns.set(player.id, runs)
+    }
+
+    return reservation
+}
+
+/**
+ * Replaces the planned blocks of a reservation with the blocks the run really
+ * broke and restarts the cooldown from the end of the run.
+ * @param {ReturnType<typeof reserveRun>} reservation
+ * @param {number} blocks Blocks broken by the run.
+ */
+export function settleRun(reservation, blocks) {
+    reservation.run.blocks = blocks
+    startCooldown(reservation.playerId, reservation.groupSeconds, blocks)
+}
+
+/**
+ * @param {Player} player
+ * @returns {number} Ticks left before the player can excavate again.
+ */
+export function getCooldownRemaining(player) {
+    let remaining = 0
+
+    const until = cooldowns.get(player.id)
+    if (until !== undefined) {
+        remaining = until - system.currentTick
+        if (remaining <= 0) cooldowns.delete(player.id)
+    }
+
+    return Math.max(0, remaining, getBudgetWait(player))
+}
+
+/**
+ * @param {Player} player
+ */
+export function clearRateLimit(player) {
+    cooldowns.delete(player.id)
+    budgetRuns.delete(player.id)
+}
+
+system.runInterval(() => {
+    if (cooldowns.size === 0 && budgetRuns.size === 0) return
+
+    // State outlives a logout, so it is only dropped here once it has run out.
+    const tick = system.currentTick
+    for (const [playerId, until] of cooldowns) {
+        if (until <= tick) cooldowns.delete(playerId)
+    }
+    for (const playerId of budgetRuns.keys()) getRecentRuns(playerId)
+
+    for (const player of world.getPlayers()) {
+        if (!cooldowns.has(player.id) && !budgetRuns.has(player.id)) continue
+
+        const remaining = getCooldownRemaining(player)
+        if (remaining > 0) {
+            player.onScreenDisplay.setActionBar(`§eExcavate cooldown: ${Math.ceil(remaining / 20)}s`)
+        }
+    }
+}, COOLDOWN_DISPLAY_TICKS)
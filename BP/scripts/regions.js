@@ -0,0 +1,116 @@
+import { world } from '@minecraft/server'
+
+/*
+ * Admin regions.
+ *
+ * A region is an axis-aligned box (`min`/`max`, inclusive) or, without
+ * corners, a whole dimension. It can deny excavation, cap the block limit
+ * and restrict the shapes. When regions overlap the strictest rule wins.
+ */
+
+export const regionDimensions = {
+    overworld: 'minecraft:overworld',
+    nether: 'minecraft:nether',
+    the_end: 'minecraft:the_end',
+}
+
+let regions = []
+
+world.afterEvents.worldLoad.subscribe(() => {
+    try {
+        const parsed = JSON.parse(world.getDynamicProperty('dorios:regions') ?? '[]')
+        regions = Array.isArray(parsed) ? parsed : []
+    } catch {
+        console.warn('[ERROR] Failed to read regions, resetting...')
+        regions = []
+    }
+})
+
+function saveRegions() {
+    world.setDynamicProperty('dorios:regions', JSON.stringify(regions))
+}
+
+/**
+ * @returns {Array<{name: string, dimension: string, min?: Vector3, max?: Vector3, allow: boolean, maxLimit?: number, shapes?: string[]}>}
+ */
+export function getRegions() {
+    return regions.map(region => ({ ...region }))
+}
+
+/**
+ * Adds a region or replaces the one with the same name.
+ * @param {{name: string, dimension: string, min?: Vector3, max?: Vector3, allow: boolean, maxLimit?: number, shapes?: string[]}} region
+ */
+export function setRegion(region) {
+    regions = regions.filter(entry => entry.name !== region.name)
+    regions.push(region)
+    saveRegions()
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} False if there was no such region.
+ */
+export function removeRegion(name) {
+    const next = regions.filter(entry => entry.name !== name)
+    if (next.length === regions.length) return false
+
+    regions = next
+    saveRegions()
+    return true
+}
+
+/**
+ * @param {Vector3} a
+ * @param {Vector3} b
+ * @returns {{min: Vector3, max: Vector3}} Box spanned by two corners.
+ */
+export function getRegionBox(a, b) {
+    return {
+        min: { x: Math.floor(Math.min(a.x, b.x)), y: Math.floor(Math.min(a.y, b.y)), z: Math.floor(Math.min(a.z, b.z)) },
+        max: { x: Math.floor(Math.max(a.x, b.x)), y: Math.floor(Math.max(a.y, b.y)), z: Math.floor(Math.max(a.z, b.z)) },
+    }
+}
+
+function containsPosition(region, dimensionId, pos) {
+    if (region.dimension !== dimensionId) return false
+    if (!region.min || !region.max) return true
+
+    return pos.x >= region.min.x && pos.x <= region.max.x &&
+        pos.y >= region.min.y && pos.y <= region.max.y &&
+        pos.z >= region.min.z && pos.z <= region.max.z
+}
+
+/**
+ * Merges the rules of every region containing a position.
+ * @param {string} dimensionId
+ * @param {Vector3} pos
+ * @returns {{allow: boolean, maxLimit: number, shapes: Set<string>|null}} `shapes` is null when every shape is allowed.
+ */
+export function getRegionRules(dimensionId, pos) {
+    const rules = { allow: true, maxLimit: Infinity, shapes: null }
+
+    for (const region of regions) {
+        if (!containsPosition(region, dimensionId, pos)) continue
+
+        if (!region.allow) rules.allow = false
+        if (region.maxLimit > 0) rules.maxLimit = Math.min(rules.maxLimit, region.maxLimit)
+        if (Array.isArray(region.shapes) && region.shapes.length > 0) {
+            rules.shapes = rules.shapes
+                ? new Set(region.shapes.filter(shape => rules.shapes.has(shape)))
+                : new Set(region.shapes)
+        }
+    }
+
+    return rules
+}
+
+/**
+ * @param {string} dimensionId
+ * @param {Vector3} pos
+ * @returns {boolean} True if a region denies excavating the block at `pos`.
+ */
+export function isRegionDenied(dimensionId, pos) {
+    if (regions.length === 0) return false
+    return regions.some(region => !region.allow && containsPosition(region, dimensionId, pos))
+}
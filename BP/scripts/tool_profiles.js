@@ -0,0 +1,81 @@
+/*
+ * Per-player tool profiles.
+ *
+ * A profile binds a held item to a shape, a vein limit and Vein Connect.
+ * `match` is either an item type ID or an item tag prefixed with '#'.
+ * Item IDs win over tags; without a matching profile the player's regular
+ * settings are used as the fallback profile.
+ */
+
+export const toolProfileTags = {
+    '#minecraft:is_pickaxe': 'Pickaxe',
+    '#minecraft:is_axe': 'Axe',
+    '#minecraft:is_shovel': 'Shovel',
+    '#minecraft:is_hoe': 'Hoe',
+}
+
+/**
+ * @param {Player} player
+ * @returns {Array<{match: string, shape: string, limit: number, connect: boolean}>}
+ */
+export function getToolProfiles(player) {
+    try {
+        const parsed = JSON.parse(player.getDynamicProperty('dorios:toolProfiles') ?? '[]')
+        return Array.isArray(parsed) ? parsed : []
+    } catch {
+        console.warn('[ERROR] Failed to read tool profiles, resetting...')
+        return []
+    }
+}
+
+function saveToolProfiles(player, profiles) {
+    player.setDynamicProperty('dorios:toolProfiles', JSON.stringify(profiles))
+}
+
+/**
+ * Adds a profile or replaces the one with the same `match`.
+ * @param {Player} player
+ * @param {{match: string, shape: string, limit: number, connect: boolean}} profile
+ */
+export function setToolProfile(player, profile) {
+    const profiles = getToolProfiles(player).filter(entry => entry.match !== profile.match)
+    profiles.push(profile)
+    saveToolProfiles(player, profiles)
+}
+
+/**
+ * @param {Player} player
+ * @param {string} match
+ * @returns {boolean} False if the player had no such profile.
+ */
+export function removeToolProfile(player, match) {
+    const profiles = getToolProfiles(player)
+    const next = profiles.filter(entry => entry.match !== match)
+    if (next.length === profiles.length) return false
+
+    saveToolProfiles(player, next)
+    return true
+}
+
+/**
+ * @param {Player} player
+ * @param {ItemStack} [item] Held item.
+ * @returns {{match: string, shape: string, limit: number, connect: boolean}|null}
+ */
+export function resolveToolProfile(player, item) {
+    if (!item) return null
+
+    const profiles = getToolProfiles(player)
+    const byId = profiles.find(profile => profile.match === item.typeId)
+    if (byId) return byId
+
+    return profiles.find(profile => profile.match.startsWith('#') && item.hasTag(profile.match.slice(1))) ?? null
+}
+
+/**
+ * @param {string} match
+ * @returns {string} Readable name of a profile match.
+ */
+export function formatToolMatch(match) {
+    return toolProfileTags[match] ?? match
+}
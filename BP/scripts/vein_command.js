@@ -1,12 +1,64 @@
 import { world, system, CommandPermissionLevel, CustomCommandParamType, CustomCommandStatus } from "@minecraft/server"
-import { configMenu } from 'vein_menu.js'
-import { veinHandler, shapeNames } from 'vein_mine.js'
+import { configMenu, showSharedPresetForm } from 'vein_menu.js'
+import { veinHandler, shapeNames, connectivityShapes, connectivityValues, setShapeConnectivity, getTunnelSettings, getStaircaseSettings, getLayerSettings, getShapeRadius, getBranchSettings } from 'vein_mine.js'
 import { list, blacklist, maxLimit, setMaxLimit } from 'global_variables.js'
+import { undoExcavations } from 'excavate_history.js'
+import { setSmeltConversion, removeSmeltConversion, isAutoSmeltUnlocked } from 'auto_smelt.js'
+import { setSaplingMapping, removeSaplingMapping } from 'auto_replant.js'
+import { normalizePresetName, getPresets, getServerPresets, savePreset, deletePreset, findPreset, applyPreset } from 'presets.js'
+import { regionDimensions, getRegions, setRegion, removeRegion, getRegionBox } from 'regions.js'
+import { MAX_GROUP_LIMIT, getPermissionGroups, getGroupLimit, setPermissionGroup, removePermissionGroup } from 'permission_groups.js'
+import { clearRateLimit } from 'rate_limit.js'
+import { getBlocksPerTick, setBlocksPerTick, getJobStatus, cancelPlayerJobs, getCancelRules, setCancelRules } from 'excavate_jobs.js'
+import { activationModes, setActivationMode } from 'activation.js'
+import { toolProfileTags, setToolProfile, removeToolProfile, formatToolMatch } from 'tool_profiles.js'
+import { normalizeBlockPattern, isPlainBlockId, isBlacklisted } from 'block_patterns.js'
+import { setAlias, removeAlias, addToConnectGroup, removeFromConnectGroup, removeConnectGroup } from 'block_groups.js'
+import { playerMessage } from 'player_message.js'
 
-function playerMessage(player, text) {
-    system.run(() => {
-        player.onScreenDisplay.setActionBar({ translate: text })
-    })
+// Accepts pickaxe/axe/shovel/hoe as shortcuts for the tool tags.
+function parseToolMatch(tool) {
+    const text = String(tool ?? '').trim()
+    const tag = `#minecraft:is_${text}`
+    return tag in toolProfileTags ? tag : text
+}
+
+// Entries stored before bare IDs got their namespace may still be bare.
+function findListEntry(entries, text) {
+    const normalized = normalizeBlockPattern(text)
+    return entries.includes(normalized) ? normalized : text
+}
+
+function getMarkedCorner(player, property) {
+    try {
+        return JSON.parse(player.getDynamicProperty(property) ?? 'null')
+    } catch {
+        return null
+    }
+}
+
+function formatRegion(region) {
+    const area = region.min
+        ? `${region.min.x} ${region.min.y} ${region.min.z} -> ${region.max.x} ${region.max.y} ${region.max.z}`
+        : 'whole dimension'
+    const limit = region.maxLimit > 0 ? `, limit ${region.maxLimit}` : ''
+    const shapes = region.shapes?.length ? `, shapes ${region.shapes.join(', ')}` : ''
+    return `${region.name} (${region.dimension.replace('minecraft:', '')}, ${area}): ${region.allow ? 'allowed' : 'denied'}${limit}${shapes}`
+}
+
+function formatPermissionGroup(group) {
+    const limit = group.maxLimit > 0 ? group.maxLimit : 'world'
+    const shapes = group.shapes?.length ? group.shapes.join(', ') : 'all'
+    return `${group.tag}: limit ${limit}, cooldown ${group.cooldown}s, durability x${group.durabilityMultiplier}, hunger x${group.hungerMultiplier}, shapes ${shapes}`
+}
+
+function undoSummaryMessage(summary) {
+    if (summary.runs === 0) return '§cNothing to undo'
+
+    let text = `§aUndid ${summary.runs} excavation(s): ${summary.restored} blocks restored, ${summary.reclaimed} items taken back`
+    if (summary.skipped > 0) text += ` §e(${summary.skipped} blocks skipped)`
+    if (summary.kept > 0) text += ` §e(${summary.kept} blocks left mined, their loot or XP is missing)`
+    return text
 }
 
 const identifier = 'dorios:'
@@ -34,34 +86,46 @@ const typeMap = {
 }
 
 
-let shapeKeys = []
-Object.keys(veinHandler).forEach(name => {
-    shapeKeys.push(shapeNames[name])
-})
+const shapeKeys = Object.keys(veinHandler)
+
+/**
+ * @param {string} text Comma separated shape keys.
+ * @returns {{shapes: string[], unknown: string[]}}
+ */
+function parseShapeList(text) {
+    const shapes = text.split(',').map(shape => shape.trim()).filter(Boolean)
+    return { shapes, unknown: shapes.filter(shape => !shapeKeys.includes(shape)) }
+}
 
 const commands = [
     {
         name: "excavatedefaultadd",
-        description: "Adds a block to the global default list. (Admin only)",
+        description: "Adds a block or pattern (*_ore, #tag, id[state=value]) to the global default list. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "pattern",
+                type: "string"
             }
         ],
-        callback(origin, block) {
+        callback(origin, text) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            if (blacklist.includes(block.id)) {
+            const pattern = normalizeBlockPattern(text)
+            if (!pattern) {
+                playerMessage(player, '§cInvalid block pattern')
+                return;
+            }
+
+            if (isPlainBlockId(pattern) && isBlacklisted(pattern)) {
                 playerMessage(player, '§cBlock is on the black list')
                 return;
             }
 
-            if (!list.includes(block.id)) {
-                list.push(block.id)
+            if (!list.includes(pattern)) {
+                list.push(pattern)
                 world.setDynamicProperty('dorios:initialVein', JSON.stringify(list))
                 playerMessage(player, '§aBlock successfully added')
             } else {
@@ -71,21 +135,22 @@ const commands = [
     },
     {
         name: "excavatedefaultremove",
-        description: "Removes a block from the global default list. (Admin only)",
+        description: "Removes a block or pattern from the global default list. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "pattern",
+                type: "string"
             }
         ],
-        callback(origin, block) {
+        callback(origin, text) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            if (list.includes(block.id)) {
-                list = list.filter(id => id !== block.id)
+            const index = list.indexOf(findListEntry(list, text))
+            if (index !== -1) {
+                list.splice(index, 1)
                 world.setDynamicProperty('dorios:initialVein', JSON.stringify(list))
                 playerMessage(player, '§aBlock successfully removed')
             } else {
@@ -95,21 +160,27 @@ const commands = [
     },
     {
         name: "excavateblacklistadd",
-        description: "Adds a block to the global blacklist. (Admin only)",
+        description: "Adds a block or pattern (*_ore, #tag, id[state=value]) to the global blacklist. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "pattern",
+                type: "string"
             }
         ],
-        callback(origin, block) {
+        callback(origin, text) {
             const player = origin.sourceEntity
 
             if (!player) return
 
-            if (!blacklist.includes(block.id)) {
-                blacklist.push(block.id)
+            const pattern = normalizeBlockPattern(text)
+            if (!pattern) {
+                playerMessage(player, '§cInvalid block pattern')
+                return
+            }
+
+            if (!blacklist.includes(pattern)) {
+                blacklist.push(pattern)
                 world.setDynamicProperty('dorios:veinBlacklist', JSON.stringify(blacklist))
                 playerMessage(player, '§aBlock successfully added')
             } else {
@@ -119,21 +190,22 @@ const commands = [
     },
     {
         name: "excavateblacklistremove",
-        description: "Removes a block from the global blacklist. (Admin only)",
+        description: "Removes a block or pattern from the global blacklist. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "pattern",
+                type: "string"
             }
         ],
-        callback(origin, block) {
+        callback(origin, text) {
             const player = origin.sourceEntity
 
             if (!player) return
 
-            if (blacklist.includes(block.id)) {
-                blacklist = blacklist.filter(id => id !== block.id)
+            const index = blacklist.indexOf(findListEntry(blacklist, text))
+            if (index !== -1) {
+                blacklist.splice(index, 1)
                 world.setDynamicProperty('dorios:veinBlacklist', JSON.stringify(blacklist))
                 playerMessage(player, '§aBlock successfully removed')
             } else {
@@ -142,200 +214,1172 @@ const commands = [
         }
     },
     {
-        name: "excavatemaxlimit",
-        description: "Sets the global excavate block limit. (Admin only)",
+        name: "excavateregionmark",
+        description: "Marks your current position as a region corner. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "quantity",
-                type: "int"
+                name: "regionCorner",
+                type: "enum",
+                enum: ["pos1", "pos2"]
             }
         ],
-        callback(origin, quantity) {
+        callback(origin, corner) {
             const player = origin.sourceEntity
 
-            if (!player) return
+            if (!player) return;
 
-            setMaxLimit(quantity)
-            world.setDynamicProperty('dorios:maxLimit', quantity)
-            playerMessage(player, '§aData successfully updated')
+            const { x, y, z } = player.location
+            const pos = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) }
+            player.setDynamicProperty(corner === 'pos1' ? 'dorios:regionPos1' : 'dorios:regionPos2', JSON.stringify(pos))
+            playerMessage(player, `§eRegion ${corner} set to ${pos.x} ${pos.y} ${pos.z}`)
         }
     },
     {
-        name: "excavatemenu",
-        description: "Opens your personal excavate configuration menu.",
-        permissionLevel: "any",
-        parameters: [],
-        callback(origin) {
+        name: "excavateregionbox",
+        description: "Creates a box region where excavation is denied, from two corners or your marked ones. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            },
+            {
+                name: "from",
+                type: "location",
+                optional: true
+            },
+            {
+                name: "to",
+                type: "location",
+                optional: true
+            }
+        ],
+        callback(origin, name, from, to) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            configMenu(player)
+            const a = from ?? getMarkedCorner(player, 'dorios:regionPos1')
+            const b = to ?? getMarkedCorner(player, 'dorios:regionPos2')
+            if (!a || !b) {
+                playerMessage(player, '§cGive both corners or mark them with excavateregionmark')
+                return;
+            }
 
+            setRegion({ name, dimension: player.dimension.id, ...getRegionBox(a, b), allow: false })
+            playerMessage(player, `§aRegion ${name} saved`)
         }
     },
     {
-        name: "excavateadd",
-        description: "Adds a block to your personal excavate whitelist.",
-        permissionLevel: "any",
+        name: "excavateregiondimension",
+        description: "Creates a region covering a whole dimension, allowed with no overrides. (Admin only)",
+        permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "name",
+                type: "string"
+            },
+            {
+                name: "regionDimension",
+                type: "enum",
+                enum: Object.keys(regionDimensions)
             }
         ],
-        callback(origin, block) {
+        callback(origin, name, dimension) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            if (blacklist.includes(block.id)) {
-                playerMessage(player, '§cBlock is on the black list')
+            setRegion({ name, dimension: regionDimensions[dimension], allow: true })
+            playerMessage(player, `§aRegion ${name} saved`)
+        }
+    },
+    {
+        name: "excavateregionrule",
+        description: "Sets whether a region allows excavation, its block limit (0 = none) and allowed shapes (comma separated). (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            },
+            {
+                name: "allow",
+                type: "bool"
+            },
+            {
+                name: "maxLimit",
+                type: "int",
+                optional: true
+            },
+            {
+                name: "shapes",
+                type: "string",
+                optional: true
+            }
+        ],
+        callback(origin, name, allow, limit, shapes) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const region = getRegions().find(entry => entry.name === name)
+            if (!region) {
+                playerMessage(player, '§cRegion not found')
                 return;
             }
 
-            let veinList;
-            try {
-                const raw = player.getDynamicProperty("dorios:veinList");
-                veinList = raw ? JSON.parse(raw) : list;
-            } catch (e) {
-                console.warn("[ERROR] Failed to read vein list, resetting...");
-                veinList = list;
+            region.allow = !!allow
+            if (limit !== undefined) region.maxLimit = Math.max(0, limit)
+            if (shapes !== undefined) {
+                const parsed = parseShapeList(shapes)
+                if (parsed.unknown.length) {
+                    playerMessage(player, `§cUnknown shapes: ${parsed.unknown.join(', ')}`)
+                    return;
+                }
+                region.shapes = parsed.shapes
             }
 
-            if (veinList.includes(block.id)) {
-                playerMessage(player, '§cBlock already added')
+            setRegion(region)
+            playerMessage(player, `§aRegion ${name} updated`)
+        }
+    },
+    {
+        name: "excavateregionremove",
+        description: "Removes a region. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            }
+        ],
+        callback(origin, name) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removeRegion(name)) {
+                playerMessage(player, `§aRegion ${name} removed`)
             } else {
-                veinList.push(block.id);
-                player.setDynamicProperty("dorios:veinList", JSON.stringify(veinList));
-                playerMessage(player, '§aBlock successfully added')
+                playerMessage(player, '§cRegion not found')
+            }
+        }
+    },
+    {
+        name: "excavateregionlist",
+        description: "Lists the excavate regions. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const regions = getRegions()
+            if (!regions.length) {
+                player.sendMessage('§eNo regions')
+                return;
             }
 
+            for (const region of regions) player.sendMessage(`§e${formatRegion(region)}`)
         }
     },
     {
-        name: "excavateremove",
-        description: "Removes a block from your personal excavate whitelist.",
-        permissionLevel: "any",
+        name: "excavatepermgroup",
+        description: "Adds or updates the permission group of a player tag: block limit replacing the world limit (0 = world), cooldown seconds, cost multipliers and allowed shapes. (Admin only)",
+        permissionLevel: "admin",
         parameters: [
             {
-                name: "block",
-                type: "block"
+                name: "tag",
+                type: "string"
+            },
+            {
+                name: "maxLimit",
+                type: "int"
+            },
+            {
+                name: "cooldown",
+                type: "float",
+                optional: true
+            },
+            {
+                name: "durabilityMultiplier",
+                type: "float",
+                optional: true
+            },
+            {
+                name: "hungerMultiplier",
+                type: "float",
+                optional: true
+            },
+            {
+                name: "shapes",
+                type: "string",
+                optional: true
             }
         ],
-        callback(origin, block) {
+        callback(origin, tag, limit, cooldown, durabilityMultiplier, hungerMultiplier, shapes) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            let veinList;
-            try {
-                const raw = player.getDynamicProperty("dorios:veinList");
-                veinList = raw ? JSON.parse(raw) : list;
-            } catch (e) {
-                console.warn("[ERROR] Failed to read vein list, resetting...");
-                veinList = list;
+            const current = getPermissionGroups().find(group => group.tag === tag)
+            const group = {
+                tag,
+                maxLimit: Math.min(Math.max(0, limit), MAX_GROUP_LIMIT),
+                cooldown: Math.max(0, cooldown ?? current?.cooldown ?? 0),
+                durabilityMultiplier: Math.max(0, durabilityMultiplier ?? current?.durabilityMultiplier ?? 1),
+                hungerMultiplier: Math.max(0, hungerMultiplier ?? current?.hungerMultiplier ?? 1),
+                shapes: current?.shapes ?? [],
             }
 
-            if (veinList.includes(block.id)) {
-                veinList = veinList.filter(b =>
-                    b != block.id
-                )
-                player.setDynamicProperty("dorios:veinList", JSON.stringify(veinList));
-                playerMessage(player, '§aBlock successfully removed')
-            } else {
-                playerMessage(player, '§cBlock is not on the list')
+            if (shapes !== undefined) {
+                const parsed = parseShapeList(shapes)
+                if (parsed.unknown.length) {
+                    playerMessage(player, `§cUnknown shapes: ${parsed.unknown.join(', ')}`)
+                    return;
+                }
+                group.shapes = parsed.shapes
             }
 
+            setPermissionGroup(group)
+            playerMessage(player, `§aGroup ${tag} saved`)
         }
     },
     {
-        name: "excavatetoggle",
-        description: "Toggles your excavate ability on or off.",
-        permissionLevel: "any",
+        name: "excavatepermgroupremove",
+        description: "Removes the permission group of a player tag. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "tag",
+                type: "string"
+            }
+        ],
+        callback(origin, tag) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removePermissionGroup(tag)) {
+                playerMessage(player, `§aGroup ${tag} removed`)
+            } else {
+                playerMessage(player, '§cGroup not found')
+            }
+        }
+    },
+    {
+        name: "excavatepermgrouplist",
+        description: "Lists the permission groups in priority order. (Admin only)",
+        permissionLevel: "admin",
         parameters: [],
         callback(origin) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            let isEnabled = player.getDynamicProperty('dorios:veinEnabled')
+            const groups = getPermissionGroups()
+            if (!groups.length) {
+                player.sendMessage('§eNo permission groups')
+                return;
+            }
 
-            player.setDynamicProperty('dorios:veinEnabled', !isEnabled)
+            for (const group of groups) player.sendMessage(`§e${formatPermissionGroup(group)}`)
+        }
+    },
+    {
+        name: "excavateratelimit",
+        description: "Sets the cooldown seconds per 100 blocks broken and the blocks per minute budget (0 = off). (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "cooldownPer100Blocks",
+                type: "float"
+            },
+            {
+                name: "blocksPerMinute",
+                type: "int"
+            }
+        ],
+        callback(origin, cooldownPer100Blocks, blocksPerMinute) {
+            const player = origin.sourceEntity
 
-            if (isEnabled) {
-                playerMessage(player, "§eExcavate §cDisabled")
-            } else {
-                playerMessage(player, "§eExcavate §aEnabled")
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:cooldownPer100Blocks', Math.min(Math.max(cooldownPer100Blocks, 0), 600))
+            world.setDynamicProperty('dorios:blocksPerMinute', Math.max(blocksPerMinute, 0))
+            playerMessage(player, `§eRate limit: ${cooldownPer100Blocks}s per 100 blocks, ${blocksPerMinute > 0 ? `${blocksPerMinute} blocks per minute` : 'no budget'}`)
+        }
+    },
+    {
+        name: "excavatecooldownreset",
+        description: "Clears the cooldown and blocks per minute budget of players. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "target",
+                type: "player"
             }
+        ],
+        callback(origin, targets) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
 
+            for (const target of targets ?? []) clearRateLimit(target)
+            playerMessage(player, `§aCooldown reset for ${targets?.length ?? 0} player(s)`)
         }
     },
     {
-        name: "excavateconnect",
-        description: "Toggles Vein Connect (connected listed blocks) on or off.",
-        permissionLevel: "any",
+        name: "excavateblockspertick",
+        description: "Sets how many blocks Excavate breaks per tick across all players. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "blocks",
+                type: "int"
+            }
+        ],
+        callback(origin, blocks) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (blocks < 1) {
+                playerMessage(player, '§cValue must be at least 1')
+                return;
+            }
+
+            setBlocksPerTick(blocks)
+            playerMessage(player, `§eServer Blocks per Tick: ${getBlocksPerTick()}`)
+        }
+    },
+    {
+        name: "excavatejobs",
+        description: "Shows the excavation queue and each player's active job. (Admin only)",
+        permissionLevel: "admin",
         parameters: [],
         callback(origin) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            let current = player.getDynamicProperty('dorios:veinConnect')
-            if (current === undefined) {
-                current = world.getDynamicProperty('dorios:veinConnectDefault') ?? false
+            const status = getJobStatus()
+            player.sendMessage(`§eExcavate jobs: ${status.active.length} active, ${status.queued} queued, ${getBlocksPerTick()} blocks per tick`)
+            for (const job of status.active) {
+                player.sendMessage(`§7${job.playerName}: ${job.done}/${job.total} blocks`)
             }
+        }
+    },
+    {
+        name: "excavatecancel",
+        description: "Cancels your running and queued excavations. Loot collected so far is dropped.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
 
-            const next = !current
-            player.setDynamicProperty('dorios:veinConnect', next)
-            playerMessage(player, `§eVein Connect: ${next ? '§aEnabled' : '§cDisabled'}`)
+            if (!player) return;
+
+            if (!cancelPlayerJobs(player.id, 'command')) {
+                playerMessage(player, '§cNo excavation running')
+            }
         }
     },
     {
-        name: "excavateconnectdefault",
-        description: "Sets the global default value for Vein Connect. (Admin only)",
+        name: "excavatecancelrules",
+        description: "Sets when runs cancel themselves: on death, on dimension change, past a distance from the origin (0 = off) and on release. (Admin only)",
         permissionLevel: "admin",
         parameters: [
             {
-                name: "enabled",
+                name: "onDeath",
+                type: "bool"
+            },
+            {
+                name: "onDimensionChange",
+                type: "bool"
+            },
+            {
+                name: "distance",
+                type: "int"
+            },
+            {
+                name: "onRelease",
                 type: "bool"
             }
         ],
-        callback(origin, enabled) {
+        callback(origin, onDeath, onDimensionChange, distance, onRelease) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            world.setDynamicProperty('dorios:veinConnectDefault', !!enabled)
-            playerMessage(player, `§eDefault Vein Connect: ${enabled ? '§aEnabled' : '§cDisabled'}`)
+            setCancelRules({ onDeath, onDimensionChange, distance, onRelease })
+            const rules = getCancelRules()
+            playerMessage(player, `§eAuto-cancel: death ${rules.onDeath ? 'on' : 'off'}, dimension ${rules.onDimensionChange ? 'on' : 'off'}, distance ${rules.distance || 'off'}, release ${rules.onRelease ? 'on' : 'off'}`)
         }
     },
     {
-        name: "excavateshape",
-        description: "Changes your current excavate shape or pattern.",
-        permissionLevel: "any",
+        name: "excavateprotectplaced",
+        description: "Sets whether excavate skips blocks placed by players. (Admin only)",
+        permissionLevel: "admin",
         parameters: [
             {
-                name: "shape",
-                type: "enum",
-                enum: shapeKeys
+                name: "enabled",
+                type: "bool"
             }
         ],
-        callback(origin, shape) {
+        callback(origin, enabled) {
             const player = origin.sourceEntity
 
             if (!player) return;
 
-            player.setDynamicProperty('dorios:veinShape', shape)
-            playerMessage(player, "§aData successfully updated")
-
+            world.setDynamicProperty('dorios:ledgerEnabled', !!enabled)
+            playerMessage(player, `§eProtect Placed Blocks: ${enabled ? '§aEnabled' : '§cDisabled'}`)
         }
     },
     {
-        name: "excavatelimit",
-        description: "Sets your personal block limit for excavate.",
-        permissionLevel: "any",
+        name: "excavatemaxlimit",
+        description: "Sets the global excavate block limit. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "quantity",
+                type: "int"
+            }
+        ],
+        callback(origin, quantity) {
+            const player = origin.sourceEntity
+
+            if (!player) return
+
+            setMaxLimit(quantity)
+            world.setDynamicProperty('dorios:maxLimit', quantity)
+            playerMessage(player, '§aData successfully updated')
+        }
+    },
+    {
+        name: "excavatemenu",
+        description: "Opens your personal excavate configuration menu.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            configMenu(player)
+
+        }
+    },
+    {
+        name: "excavateadd",
+        description: "Adds a block or pattern (*_ore, #tag, id[state=value]) to your personal excavate whitelist.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "pattern",
+                type: "string"
+            }
+        ],
+        callback(origin, text) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const pattern = normalizeBlockPattern(text)
+            if (!pattern) {
+                playerMessage(player, '§cInvalid block pattern')
+                return;
+            }
+
+            if (isPlainBlockId(pattern) && isBlacklisted(pattern)) {
+                playerMessage(player, '§cBlock is on the black list')
+                return;
+            }
+
+            let veinList;
+            try {
+                const raw = player.getDynamicProperty("dorios:veinList");
+                veinList = raw ? JSON.parse(raw) : [...list];
+            } catch (e) {
+                console.warn("[ERROR] Failed to read vein list, resetting...");
+                veinList = [...list];
+            }
+
+            if (veinList.includes(pattern)) {
+                playerMessage(player, '§cBlock already added')
+            } else {
+                veinList.push(pattern);
+                player.setDynamicProperty("dorios:veinList", JSON.stringify(veinList));
+                playerMessage(player, '§aBlock successfully added')
+            }
+
+        }
+    },
+    {
+        name: "excavateremove",
+        description: "Removes a block or pattern from your personal excavate whitelist.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "pattern",
+                type: "string"
+            }
+        ],
+        callback(origin, text) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            let veinList;
+            try {
+                const raw = player.getDynamicProperty("dorios:veinList");
+                veinList = raw ? JSON.parse(raw) : [...list];
+            } catch (e) {
+                console.warn("[ERROR] Failed to read vein list, resetting...");
+                veinList = [...list];
+            }
+
+            const pattern = findListEntry(veinList, text)
+            if (veinList.includes(pattern)) {
+                veinList = veinList.filter(b =>
+                    b != pattern
+                )
+                player.setDynamicProperty("dorios:veinList", JSON.stringify(veinList));
+                playerMessage(player, '§aBlock successfully removed')
+            } else {
+                playerMessage(player, '§cBlock is not on the list')
+            }
+
+        }
+    },
+    {
+        name: "excavatetoggle",
+        description: "Toggles your excavate ability on or off.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            let isEnabled = player.getDynamicProperty('dorios:veinEnabled')
+
+            player.setDynamicProperty('dorios:veinEnabled', !isEnabled)
+
+            if (isEnabled) {
+                playerMessage(player, "§eExcavate §cDisabled")
+            } else {
+                playerMessage(player, "§eExcavate §aEnabled")
+            }
+
+        }
+    },
+    {
+        name: "excavateconnect",
+        description: "Toggles Vein Connect (connected listed blocks) on or off.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            let current = player.getDynamicProperty('dorios:veinConnect')
+            if (current === undefined) {
+                current = world.getDynamicProperty('dorios:veinConnectDefault') ?? false
+            }
+
+            const next = !current
+            player.setDynamicProperty('dorios:veinConnect', next)
+            playerMessage(player, `§eVein Connect: ${next ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatepickup",
+        description: "Toggles Auto Pickup, sending excavate loot straight into your inventory.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const next = !player.getDynamicProperty('dorios:autoPickup')
+            player.setDynamicProperty('dorios:autoPickup', next)
+            playerMessage(player, `§eAuto Pickup: ${next ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatepickupstop",
+        description: "Toggles stopping excavate when Auto Pickup finds your inventory full.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const next = !player.getDynamicProperty('dorios:autoPickupStopWhenFull')
+            player.setDynamicProperty('dorios:autoPickupStopWhenFull', next)
+            playerMessage(player, `§eStop When Inventory Full: ${next ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatesmelt",
+        description: "Toggles Auto-Smelt for your excavated drops.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (!isAutoSmeltUnlocked()) {
+                playerMessage(player, '§cAuto-Smelt is locked by the admins')
+                return
+            }
+
+            const next = !player.getDynamicProperty('dorios:autoSmelt')
+            player.setDynamicProperty('dorios:autoSmelt', next)
+            playerMessage(player, `§eAuto-Smelt: ${next ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatesmeltunlock",
+        description: "Allows or forbids players to use Auto-Smelt. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "enabled",
+                type: "bool"
+            }
+        ],
+        callback(origin, enabled) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:autoSmeltUnlocked', !!enabled)
+            playerMessage(player, `§eAuto-Smelt: ${enabled ? '§aUnlocked' : '§cLocked'}`)
+        }
+    },
+    {
+        name: "excavatesmeltfuel",
+        description: "Sets whether Auto-Smelt consumes fuel from the inventory. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "enabled",
+                type: "bool"
+            }
+        ],
+        callback(origin, enabled) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:autoSmeltFuelCost', !!enabled)
+            playerMessage(player, `§eAuto-Smelt Fuel Cost: ${enabled ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatesmeltadd",
+        description: "Adds or replaces an Auto-Smelt conversion. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "input",
+                type: "item"
+            },
+            {
+                name: "output",
+                type: "item"
+            }
+        ],
+        callback(origin, input, output) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (setSmeltConversion(input.id, output.id)) {
+                playerMessage(player, '§aConversion successfully added')
+            } else {
+                playerMessage(player, '§cInvalid output item')
+            }
+        }
+    },
+    {
+        name: "excavatesmeltremove",
+        description: "Removes an Auto-Smelt conversion. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "input",
+                type: "item"
+            }
+        ],
+        callback(origin, input) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removeSmeltConversion(input.id)) {
+                playerMessage(player, '§aConversion successfully removed')
+            } else {
+                playerMessage(player, '§cItem has no conversion')
+            }
+        }
+    },
+    {
+        name: "excavatereplant",
+        description: "Toggles replanting saplings after Tree Capitator.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const next = !player.getDynamicProperty('dorios:autoReplant')
+            player.setDynamicProperty('dorios:autoReplant', next)
+            playerMessage(player, `§eAuto Replant: ${next ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavatesaplingadd",
+        description: "Sets the sapling replanted for a log type. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "log",
+                type: "block"
+            },
+            {
+                name: "sapling",
+                type: "block"
+            }
+        ],
+        callback(origin, log, sapling) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            setSaplingMapping(log.id, sapling.id)
+            playerMessage(player, '§aSapling successfully added')
+        }
+    },
+    {
+        name: "excavatesaplingremove",
+        description: "Removes the sapling replanted for a log type. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "log",
+                type: "block"
+            }
+        ],
+        callback(origin, log) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removeSaplingMapping(log.id)) {
+                playerMessage(player, '§aSapling successfully removed')
+            } else {
+                playerMessage(player, '§cBlock has no sapling')
+            }
+        }
+    },
+    {
+        name: "excavatealias",
+        description: "Makes a block count as another block type. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "block",
+                type: "block"
+            },
+            {
+                name: "target",
+                type: "block"
+            }
+        ],
+        callback(origin, block, target) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            setAlias(block.id, target.id)
+            playerMessage(player, '§aAlias successfully added')
+        }
+    },
+    {
+        name: "excavatealiasremove",
+        description: "Removes the alias of a block. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "block",
+                type: "block"
+            }
+        ],
+        callback(origin, block) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removeAlias(block.id)) {
+                playerMessage(player, '§aAlias successfully removed')
+            } else {
+                playerMessage(player, '§cBlock has no alias')
+            }
+        }
+    },
+    {
+        name: "excavategroupadd",
+        description: "Adds a block to a Vein Connect group, creating the group if needed. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "group",
+                type: "string"
+            },
+            {
+                name: "block",
+                type: "block"
+            }
+        ],
+        callback(origin, group, block) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            addToConnectGroup(group, block.id)
+            playerMessage(player, `§aBlock added to group ${group}`)
+        }
+    },
+    {
+        name: "excavategroupremove",
+        description: "Removes a block from a Vein Connect group, or the whole group if no block is given. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "group",
+                type: "string"
+            },
+            {
+                name: "block",
+                type: "block",
+                optional: true
+            }
+        ],
+        callback(origin, group, block) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const removed = block ? removeFromConnectGroup(group, block.id) : removeConnectGroup(group)
+            if (removed) {
+                playerMessage(player, '§aGroup successfully updated')
+            } else {
+                playerMessage(player, '§cBlock or group not found')
+            }
+        }
+    },
+    {
+        name: "excavateconnectdefault",
+        description: "Sets the global default value for Vein Connect. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "enabled",
+                type: "bool"
+            }
+        ],
+        callback(origin, enabled) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:veinConnectDefault', !!enabled)
+            playerMessage(player, `§eDefault Vein Connect: ${enabled ? '§aEnabled' : '§cDisabled'}`)
+        }
+    },
+    {
+        name: "excavateshape",
+        description: "Changes your current excavate shape or pattern.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "shape",
+                type: "enum",
+                enum: shapeKeys
+            }
+        ],
+        callback(origin, shape) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            player.setDynamicProperty('dorios:veinShape', shape)
+            playerMessage(player, "§aData successfully updated")
+
+        }
+    },
+    {
+        name: "excavateprofile",
+        description: "Binds a tool (pickaxe, axe, shovel, hoe, an item ID or #tag) to a shape, limit and Vein Connect.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "tool",
+                type: "string"
+            },
+            {
+                name: "profileShape",
+                type: "enum",
+                enum: shapeKeys
+            },
+            {
+                name: "limit",
+                type: "int"
+            },
+            {
+                name: "connect",
+                type: "bool"
+            }
+        ],
+        callback(origin, tool, shape, limit, connect) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const match = parseToolMatch(tool)
+            if (!match) {
+                playerMessage(player, '§cNo tool given')
+                return;
+            }
+
+            if (getGroupLimit(player, maxLimit) < limit) {
+                playerMessage(player, "§cMax Limit Exceded")
+                return;
+            }
+
+            setToolProfile(player, { match, shape, limit: Math.max(1, limit), connect: !!connect })
+            playerMessage(player, `§a${formatToolMatch(match)} now uses ${shapeNames[shape]}`)
+        }
+    },
+    {
+        name: "excavateprofileremove",
+        description: "Removes the profile of a tool, which then uses your regular settings.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "tool",
+                type: "string"
+            }
+        ],
+        callback(origin, tool) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (removeToolProfile(player, parseToolMatch(tool))) {
+                playerMessage(player, '§aProfile successfully removed')
+            } else {
+                playerMessage(player, '§cTool has no profile')
+            }
+        }
+    },
+    {
+        name: "excavatepresetsave",
+        description: "Saves your shape, limit, Vein Connect and block list as a named preset.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            }
+        ],
+        callback(origin, name) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const presetName = normalizePresetName(name)
+            if (!presetName) {
+                playerMessage(player, '§cInvalid preset name')
+                return;
+            }
+
+            savePreset(player, presetName)
+            playerMessage(player, `§aPreset ${presetName} saved`)
+        }
+    },
+    {
+        name: "excavatepresetload",
+        description: "Loads one of your presets, or a server preset with that name.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            }
+        ],
+        callback(origin, name) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const presetName = normalizePresetName(name)
+            const preset = findPreset(player, presetName)
+            if (!preset) {
+                playerMessage(player, '§cPreset not found')
+                return;
+            }
+
+            applyPreset(player, preset)
+            playerMessage(player, `§aPreset ${presetName} loaded`)
+        }
+    },
+    {
+        name: "excavatepresetdelete",
+        description: "Deletes one of your presets.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "name",
+                type: "string"
+            }
+        ],
+        callback(origin, name) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const presetName = normalizePresetName(name)
+            if (deletePreset(player, presetName)) {
+                playerMessage(player, `§aPreset ${presetName} deleted`)
+            } else {
+                playerMessage(player, '§cPreset not found')
+            }
+        }
+    },
+    {
+        name: "excavatepresetlist",
+        description: "Lists your presets and the server presets.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const personal = Object.keys(getPresets(player))
+            const server = Object.keys(getServerPresets())
+            player.sendMessage(`§ePresets: §f${personal.length ? personal.join(', ') : 'none'}`)
+            player.sendMessage(`§eServer presets: §f${server.length ? server.join(', ') : 'none'}`)
+        }
+    },
+    {
+        name: "excavatepresetshare",
+        description: "Offers one of your presets to another player.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "target",
+                type: "player"
+            },
+            {
+                name: "name",
+                type: "string"
+            }
+        ],
+        callback(origin, targets, name) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const presetName = normalizePresetName(name)
+            const preset = getPresets(player)[presetName]
+            if (!preset) {
+                playerMessage(player, '§cPreset not found')
+                return;
+            }
+
+            const recipients = (targets ?? []).filter(target => target.id !== player.id)
+            if (!recipients.length) {
+                playerMessage(player, '§cNo player found')
+                return;
+            }
+
+            for (const target of recipients) {
+                showSharedPresetForm(target, player, presetName, preset)
+            }
+            playerMessage(player, `§ePreset ${presetName} sent`)
+        }
+    },
+    {
+        name: "excavateactivation",
+        description: "Sets when Excavate triggers: sneak, notSneaking, doubleTapSneak, always or offhand (optionally with a specific item).",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "activationMode",
+                type: "enum",
+                enum: Object.keys(activationModes)
+            },
+            {
+                name: "item",
+                type: "item",
+                optional: true
+            }
+        ],
+        callback(origin, mode, item) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            setActivationMode(player, mode, mode === 'offhand' ? item?.id ?? '' : undefined)
+            playerMessage(player, `§eActivation: §a${activationModes[mode]}`)
+        }
+    },
+    {
+        name: "excavateconnectivity",
+        description: "Sets how many neighbours count as connected for a shape: 6 (faces), 18 (edges) or 26 (corners).",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "connectedShape",
+                type: "enum",
+                enum: connectivityShapes
+            },
+            {
+                name: "neighbours",
+                type: "int"
+            }
+        ],
+        callback(origin, shape, neighbours) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (!connectivityValues.includes(neighbours)) {
+                playerMessage(player, "§cConnectivity must be 6, 18 or 26")
+                return;
+            }
+
+            setShapeConnectivity(player, shape, neighbours)
+            playerMessage(player, `§a${shapeNames[shape]} now follows ${neighbours} neighbours`)
+        }
+    },
+    {
+        name: "excavatelimit",
+        description: "Sets your personal block limit for excavate.",
+        permissionLevel: "any",
         parameters: [
             {
                 name: "quantity",
@@ -347,7 +1391,7 @@ const commands = [
 
             if (!player) return;
 
-            if (maxLimit < quantity) {
+            if (getGroupLimit(player, maxLimit) < quantity) {
                 playerMessage(player, "§cMax Limit Exceded")
                 return;
             }
@@ -355,6 +1399,334 @@ const commands = [
             player.setDynamicProperty('dorios:veinLimit', quantity)
             playerMessage(player, "§aData successfully updated")
         }
+    },
+    {
+        name: "excavatetunnel",
+        description: "Sets the width, height and length of your Tunnel mode.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "width",
+                type: "int"
+            },
+            {
+                name: "height",
+                type: "int"
+            },
+            {
+                name: "length",
+                type: "int"
+            },
+            {
+                name: "rowsBelow",
+                type: "int",
+                optional: true
+            }
+        ],
+        callback(origin, width, height, length, rowsBelow) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const maxWidth = Number(world.getDynamicProperty('dorios:maxTunnelWidth') ?? 9)
+            const maxHeight = Number(world.getDynamicProperty('dorios:maxTunnelHeight') ?? 9)
+            const maxLength = Number(world.getDynamicProperty('dorios:maxTunnelLength') ?? 64)
+
+            if (width < 1 || height < 1 || length < 1) {
+                playerMessage(player, "§cNumber not valid")
+                return;
+            }
+
+            if (width > maxWidth || height > maxHeight || length > maxLength) {
+                playerMessage(player, `§cMax Tunnel Exceded (${maxWidth}x${maxHeight}x${maxLength})`)
+                return;
+            }
+
+            player.setDynamicProperty('dorios:tunnelWidth', width)
+            player.setDynamicProperty('dorios:tunnelHeight', height)
+            player.setDynamicProperty('dorios:tunnelLength', length)
+            player.setDynamicProperty('dorios:tunnelBelow', rowsBelow === undefined
+                ? Math.floor((height - 1) / 2)
+                : Math.min(Math.max(rowsBelow, 0), height - 1))
+
+            const tunnel = getTunnelSettings(player)
+            playerMessage(player, `§aTunnel set to ${tunnel.width}x${tunnel.height}x${tunnel.length}`)
+        }
+    },
+    {
+        name: "excavatestaircase",
+        description: "Sets the width, headroom (3 or 4) and steps of your Staircase mode.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "width",
+                type: "int"
+            },
+            {
+                name: "height",
+                type: "int"
+            },
+            {
+                name: "steps",
+                type: "int"
+            }
+        ],
+        callback(origin, width, height, steps) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const maxWidth = Number(world.getDynamicProperty('dorios:maxTunnelWidth') ?? 9)
+            const maxLength = Number(world.getDynamicProperty('dorios:maxTunnelLength') ?? 64)
+
+            if (width < 1 || steps < 1 || height < 3 || height > 4) {
+                playerMessage(player, "§cNumber not valid")
+                return;
+            }
+
+            if (width > maxWidth || steps > maxLength) {
+                playerMessage(player, `§cMax Staircase Exceded (${maxWidth} wide, ${maxLength} steps)`)
+                return;
+            }
+
+            player.setDynamicProperty('dorios:stairWidth', width)
+            player.setDynamicProperty('dorios:stairHeight', height)
+            player.setDynamicProperty('dorios:stairLength', steps)
+
+            const staircase = getStaircaseSettings(player)
+            playerMessage(player, `§aStaircase set to ${staircase.width} wide, ${staircase.height} high, ${staircase.length} steps`)
+        }
+    },
+    {
+        name: "excavatelayer",
+        description: "Sets the area of your Layer mode and whether it clears any diggable block.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "width",
+                type: "int"
+            },
+            {
+                name: "length",
+                type: "int"
+            },
+            {
+                name: "depth",
+                type: "int"
+            },
+            {
+                name: "forward",
+                type: "bool",
+                optional: true
+            },
+            {
+                name: "anyblock",
+                type: "bool",
+                optional: true
+            }
+        ],
+        callback(origin, width, length, depth, forward, anyBlock) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const maxWidth = Number(world.getDynamicProperty('dorios:maxTunnelWidth') ?? 9)
+            const maxHeight = Number(world.getDynamicProperty('dorios:maxTunnelHeight') ?? 9)
+            const maxLength = Number(world.getDynamicProperty('dorios:maxTunnelLength') ?? 64)
+
+            if (width < 1 || length < 1 || depth < 1) {
+                playerMessage(player, "§cNumber not valid")
+                return;
+            }
+
+            if (width > maxWidth || length > maxLength || depth > maxHeight) {
+                playerMessage(player, `§cMax Layer Exceded (${maxWidth}x${maxLength}, ${maxHeight} deep)`)
+                return;
+            }
+
+            player.setDynamicProperty('dorios:layerWidth', width)
+            player.setDynamicProperty('dorios:layerLength', length)
+            player.setDynamicProperty('dorios:layerDepth', depth)
+            if (forward !== undefined) player.setDynamicProperty('dorios:layerForward', !!forward)
+            if (anyBlock !== undefined) player.setDynamicProperty('dorios:layerAnyBlock', !!anyBlock)
+
+            const layer = getLayerSettings(player)
+            playerMessage(player, `§aLayer set to ${layer.width}x${layer.length}, ${layer.depth} deep${layer.anyBlock ? ', any block' : ''}`)
+        }
+    },
+    {
+        name: "excavateradius",
+        description: "Sets the radius of your Sphere and Cube modes.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "radius",
+                type: "int"
+            }
+        ],
+        callback(origin, radius) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const maxRadius = Number(world.getDynamicProperty('dorios:maxRadius') ?? 4)
+
+            if (radius < 1) {
+                playerMessage(player, "§cNumber not valid")
+                return;
+            }
+
+            if (radius > maxRadius) {
+                playerMessage(player, `§cMax Radius Exceded (${maxRadius})`)
+                return;
+            }
+
+            player.setDynamicProperty('dorios:shapeRadius', radius)
+            playerMessage(player, `§aRadius set to ${getShapeRadius(player)}`)
+        }
+    },
+    {
+        name: "excavatebranch",
+        description: "Sets the main length, side length and spacing of your Branch Mining mode.",
+        permissionLevel: "any",
+        parameters: [
+            {
+                name: "length",
+                type: "int"
+            },
+            {
+                name: "sidelength",
+                type: "int"
+            },
+            {
+                name: "spacing",
+                type: "int",
+                optional: true
+            },
+            {
+                name: "veinores",
+                type: "bool",
+                optional: true
+            }
+        ],
+        callback(origin, length, sideLength, spacing, veinOres) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            const maxLength = Number(world.getDynamicProperty('dorios:maxTunnelLength') ?? 64)
+
+            if (length < 1 || sideLength < 1 || (spacing !== undefined && (spacing < 2 || spacing > 16))) {
+                playerMessage(player, "§cNumber not valid")
+                return;
+            }
+
+            if (length > maxLength || sideLength > maxLength) {
+                playerMessage(player, `§cMax Length Exceded (${maxLength})`)
+                return;
+            }
+
+            player.setDynamicProperty('dorios:branchLength', length)
+            player.setDynamicProperty('dorios:branchSideLength', sideLength)
+            if (spacing !== undefined) player.setDynamicProperty('dorios:branchSpacing', spacing)
+            if (veinOres !== undefined) player.setDynamicProperty('dorios:branchVeinOres', !!veinOres)
+
+            const branch = getBranchSettings(player)
+            playerMessage(player, `§aBranch Mining set to ${branch.length} long, ${branch.sideLength} side branches every ${branch.spacing} blocks`)
+        }
+    },
+    {
+        name: "excavatemaxradius",
+        description: "Sets the maximum Sphere and Cube radius. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "radius",
+                type: "int"
+            }
+        ],
+        callback(origin, radius) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:maxRadius', Math.min(Math.max(radius, 1), 16))
+            playerMessage(player, "§aData successfully updated")
+        }
+    },
+    {
+        name: "excavatetunnellimits",
+        description: "Sets the maximum tunnel width, height and length. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "width",
+                type: "int"
+            },
+            {
+                name: "height",
+                type: "int"
+            },
+            {
+                name: "length",
+                type: "int"
+            }
+        ],
+        callback(origin, width, height, length) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            world.setDynamicProperty('dorios:maxTunnelWidth', Math.min(Math.max(width, 1), 32))
+            world.setDynamicProperty('dorios:maxTunnelHeight', Math.min(Math.max(height, 1), 32))
+            world.setDynamicProperty('dorios:maxTunnelLength', Math.min(Math.max(length, 1), 256))
+            playerMessage(player, "§aData successfully updated")
+        }
+    },
+    {
+        name: "excavateundo",
+        description: "Undoes your last excavation, restoring the blocks and taking back its loot.",
+        permissionLevel: "any",
+        parameters: [],
+        callback(origin) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            playerMessage(player, undoSummaryMessage(undoExcavations(player.id, player, 1)))
+        }
+    },
+    {
+        name: "excavateundoplayer",
+        description: "Undoes the last excavations of another player. (Admin only)",
+        permissionLevel: "admin",
+        parameters: [
+            {
+                name: "target",
+                type: "player"
+            },
+            {
+                name: "count",
+                type: "int",
+                optional: true
+            }
+        ],
+        callback(origin, targets, count = 1) {
+            const player = origin.sourceEntity
+
+            if (!player) return;
+
+            if (!targets?.length) {
+                playerMessage(player, '§cNo player found')
+                return
+            }
+
+            const runs = Math.max(1, Math.floor(count))
+            for (const target of targets) {
+                const summary = undoExcavations(target.id, target, runs)
+                player.sendMessage(`§e${target.name}: ${undoSummaryMessage(summary)}`)
+            }
+        }
     }
 ];
 
@@ -1,7 +1,18 @@
 import { world, system, ItemStack } from '@minecraft/server'
 import { ActionFormData, ModalFormData } from '@minecraft/server-ui'
-import { veinHandler, shapeNames } from 'vein_mine.js'
+import { veinHandler, shapeNames, connectivityShapes, connectivityValues, getConnectivitySettings, setShapeConnectivity, getTunnelSettings, getStaircaseSettings, getLayerSettings, getShapeRadius, getBranchSettings } from 'vein_mine.js'
 import { list, blacklist, maxLimit, setMaxLimit } from 'global_variables.js'
+import { getSmeltTable, setSmeltConversion, removeSmeltConversion, isAutoSmeltUnlocked } from 'auto_smelt.js'
+import { getSaplingTable, setSaplingMapping, removeSaplingMapping } from 'auto_replant.js'
+import { normalizePresetName, getPresets, getServerPresets, capturePreset, applyPreset, savePreset, deletePreset, publishServerPreset, removeServerPreset } from 'presets.js'
+import { getRegions, setRegion, removeRegion, getRegionBox } from 'regions.js'
+import { getBlocksPerTick, setBlocksPerTick, getCancelRules, setCancelRules } from 'excavate_jobs.js'
+import { DEFAULT_GROUP_TAG, MAX_GROUP_LIMIT, getPermissionGroups, setPermissionGroup, removePermissionGroup, getGroupLimit, isShapeAllowedForPlayer } from 'permission_groups.js'
+import { activationModes, getActivationMode, setActivationMode } from 'activation.js'
+import { toolProfileTags, getToolProfiles, setToolProfile, removeToolProfile, formatToolMatch } from 'tool_profiles.js'
+import { normalizeBlockPattern, isPlainBlockId, isBlacklisted } from 'block_patterns.js'
+import { getAliasTable, setAlias, removeAlias, getConnectGroups, addToConnectGroup, removeFromConnectGroup } from 'block_groups.js'
+import { playerMessage } from 'player_message.js'
 
 const CAPTURE_MODE_PROPERTIES = [
     'dorios:isAdding',
@@ -20,12 +31,6 @@ function infoLabel(text) {
     return `${UI.info}${text}${UI.reset}`
 }
 
-function playerMessage(player, text) {
-    system.run(() => {
-        player.onScreenDisplay.setActionBar({ translate: text })
-    })
-}
-
 function clampNumber(value, min, max, integer = false) {
     if (!Number.isFinite(value)) return null
 
@@ -56,6 +61,8 @@ function getPlayerVeinList(player) {
 }
 
 function formatBlockName(typeId) {
+    if (!isPlainBlockId(typeId)) return typeId
+
     const [, id] = typeId.split(':')
     const name = (id ?? typeId)
         .split('_')
@@ -65,6 +72,83 @@ function formatBlockName(typeId) {
     return name
 }
 
+/**
+ * Asks for a block ID or pattern. Leaving the field empty falls back to
+ * capture mode, where the next broken block is added.
+ */
+function showAddBlockForm(player, title, captureProperty, addEntry, reopenMenu) {
+    new ModalFormData()
+        .title(title)
+        .textField(infoLabel('Block or Pattern'), '*_ore, #tag, minecraft:wheat[growth=7]', {
+            tooltip: 'Leave empty and break a block to add it instead.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                reopenMenu()
+                return
+            }
+
+            const text = String(formValues[0] ?? '').trim()
+            if (!text) {
+                playerMessage(player, '\u00a7eBreak a block to add it')
+                setCaptureMode(player, captureProperty)
+                return
+            }
+
+            const entry = normalizeBlockPattern(text)
+            if (!entry) {
+                playerMessage(player, '\u00a7cInvalid block pattern')
+                reopenMenu()
+                return
+            }
+
+            addEntry(entry)
+            reopenMenu()
+        })
+}
+
+function addToPlayerList(player, entry, permutation) {
+    if (isPlainBlockId(entry) && isBlacklisted(entry, permutation)) {
+        playerMessage(player, '\u00a7cBlock is on the black list')
+        return
+    }
+
+    const veinList = getPlayerVeinList(player)
+
+    if (veinList.includes(entry)) {
+        playerMessage(player, '\u00a7cBlock already added')
+    } else {
+        veinList.push(entry)
+        player.setDynamicProperty('dorios:veinList', JSON.stringify(veinList))
+        playerMessage(player, '\u00a7aBlock successfully added')
+    }
+}
+
+function addToDefaultList(player, entry, permutation) {
+    if (isPlainBlockId(entry) && isBlacklisted(entry, permutation)) {
+        playerMessage(player, '\u00a7cBlock is on the black list')
+        return
+    }
+
+    if (list.includes(entry)) {
+        playerMessage(player, '\u00a7cBlock already added')
+    } else {
+        list.push(entry)
+        world.setDynamicProperty('dorios:initialVein', JSON.stringify(list))
+        playerMessage(player, '\u00a7aBlock successfully added')
+    }
+}
+
+function addToBlacklist(player, entry) {
+    if (blacklist.includes(entry)) {
+        playerMessage(player, '\u00a7cBlock already added')
+    } else {
+        blacklist.push(entry)
+        world.setDynamicProperty('dorios:veinBlacklist', JSON.stringify(blacklist))
+        playerMessage(player, '\u00a7aBlock successfully added')
+    }
+}
+
 function showRemoveBlockDropdown(player, blocks, title, onRemove, reopenMenu) {
     if (!blocks.length) {
         playerMessage(player, '\u00a7cNo blocks to remove')
@@ -112,7 +196,7 @@ world.afterEvents.playerSpawn.subscribe(e => {
 export function configMenu(player) {
     const veinShape = player.getDynamicProperty('dorios:veinShape') ?? 'shapelessVein'
     const playerLimit = player.getDynamicProperty('dorios:veinLimit') ?? 64
-    const globalLimit = getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true)
+    const globalLimit = getGroupLimit(player, getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true))
     const enabled = player.getDynamicProperty('dorios:veinEnabled') ?? true
 
     const menu = new ActionFormData()
@@ -123,6 +207,9 @@ export function configMenu(player) {
         )
         .button('Add Block to My List', 'textures/ui/realms_slot_check')
         .button('Remove Block from My List', 'textures/ui/realms_red_x')
+        .button(`Connectivity\n${infoLabel('Neighbours followed per shape')}`, 'textures/ui/icon_recipe_nature')
+        .button(`Tool Profiles\n${infoLabel(`${getToolProfiles(player).length} profiles`)}`, 'textures/items/iron_pickaxe')
+        .button(`Presets\n${infoLabel(`${Object.keys(getPresets(player)).length} saved`)}`, 'textures/items/book_writable')
 
     if (player.playerPermissionLevel == 2) {
         menu.button('Admin Settings', 'textures/ui/icon_setting')
@@ -137,8 +224,13 @@ export function configMenu(player) {
                 break
 
             case 1:
-                playerMessage(player, '\u00a7eBreak a block to add it')
-                setCaptureMode(player, 'dorios:isAdding')
+                showAddBlockForm(
+                    player,
+                    'Add Block to My List',
+                    'dorios:isAdding',
+                    entry => addToPlayerList(player, entry),
+                    () => configMenu(player)
+                )
                 break
 
             case 2: {
@@ -157,21 +249,372 @@ export function configMenu(player) {
             }
 
             case 3:
+                connectivityMenu(player)
+                break
+
+            case 4:
+                toolProfilesMenu(player)
+                break
+
+            case 5:
+                presetsMenu(player)
+                break
+
+            case 6:
                 adminMenu(player)
                 break
         }
     })
 }
 
-function playerSettingsMenu(player) {
+function toolProfilesMenu(player) {
+    const profiles = getToolProfiles(player)
+    const form = new ActionFormData()
+        .title('Tool Profiles')
+        .body('Holding a matching tool switches to its profile. Quick Settings apply to every other item.')
+
+    for (const profile of profiles) {
+        form.button(`${formatToolMatch(profile.match)}\n${infoLabel(`${shapeNames[profile.shape] ?? profile.shape} | ${profile.limit} | Connect ${profile.connect ? 'ON' : 'OFF'}`)}`)
+    }
+
+    form.button('Add Profile', 'textures/ui/realms_slot_check')
+    form.button('Back')
+
+    form.show(player).then(({ canceled, selection }) => {
+        if (canceled) return
+
+        if (selection < profiles.length) {
+            toolProfileForm(player, profiles[selection])
+        } else if (selection === profiles.length) {
+            toolProfileForm(player, null)
+        } else {
+            configMenu(player)
+        }
+    })
+}
+
+const TOOL_CHOICES = [...Object.keys(toolProfileTags), 'held', 'custom']
+
+function toolProfileForm(player, profile) {
     const shapeKeys = Object.keys(veinHandler)
+    const globalLimit = getGroupLimit(player, getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true))
+    const form = new ModalFormData().title(profile ? `Profile: ${formatToolMatch(profile.match)}` : 'Add Profile')
+
+    if (!profile) {
+        form
+            .dropdown(infoLabel('Tool'), TOOL_CHOICES.map(choice => {
+                if (choice === 'held') return 'Held Item'
+                if (choice === 'custom') return 'Custom Item or Tag'
+                return formatToolMatch(choice)
+            }), {
+                defaultValueIndex: 0,
+                tooltip: 'Tools the profile applies to. An item ID wins over a tool type.',
+            })
+            .textField(infoLabel('Custom Item or Tag'), 'minecraft:shears or #minecraft:is_sword', {
+                tooltip: 'Only used when the tool is Custom Item or Tag.',
+            })
+    }
+
+    form
+        .dropdown(infoLabel('Shape'), shapeKeys.map(key => shapeNames[key] ?? key), {
+            defaultValueIndex: Math.max(0, shapeKeys.indexOf(profile?.shape ?? 'shapelessVein')),
+        })
+        .slider(infoLabel('Block Limit'), 1, Math.max(globalLimit, 2), {
+            defaultValue: Math.min(profile?.limit ?? 64, globalLimit),
+        })
+        .toggle(infoLabel('Vein Connect'), {
+            defaultValue: profile?.connect ?? false,
+        })
+
+    if (profile) {
+        form.toggle(infoLabel('Delete Profile'), { defaultValue: false })
+    }
+
+    form.show(player).then(({ canceled, formValues }) => {
+        if (canceled) {
+            toolProfilesMenu(player)
+            return
+        }
+
+        let match = profile?.match
+        let offset = 0
+        if (!profile) {
+            const choice = TOOL_CHOICES[formValues[0]]
+            if (choice === 'held') {
+                match = player.getComponent('equippable')?.getEquipment('Mainhand')?.typeId
+            } else if (choice === 'custom') {
+                match = String(formValues[1] ?? '').trim()
+            } else {
+                match = choice
+            }
+            offset = 2
+        }
+
+        if (!match) {
+            playerMessage(player, '\u00a7cNo tool selected')
+            toolProfilesMenu(player)
+            return
+        }
+
+        if (profile && formValues[offset + 3]) {
+            removeToolProfile(player, match)
+            playerMessage(player, '\u00a7aProfile successfully removed')
+            toolProfilesMenu(player)
+            return
+        }
+
+        setToolProfile(player, {
+            match,
+            shape: shapeKeys[formValues[offset]] ?? 'shapelessVein',
+            limit: clampNumber(Number(formValues[offset + 1]), 1, globalLimit, true) ?? 64,
+            connect: !!formValues[offset + 2],
+        })
+        playerMessage(player, '\u00a7aProfile successfully saved')
+        toolProfilesMenu(player)
+    })
+}
+
+function formatPreset(preset) {
+    return `${shapeNames[preset.shape] ?? preset.shape} | ${preset.limit} | Connect ${preset.connect ? 'ON' : 'OFF'} | ${preset.list?.length ?? 0} blocks`
+}
+
+function presetsMenu(player) {
+    new ActionFormData()
+        .title('Presets')
+        .body('A preset saves your shape, limit, Vein Connect and block list under a name.')
+        .button('Save Current Settings', 'textures/ui/realms_slot_check')
+        .button('Load Preset', 'textures/ui/download_backup')
+        .button('Delete Preset', 'textures/ui/realms_red_x')
+        .button('Share Preset', 'textures/ui/FriendsIcon')
+        .button('Back')
+        .show(player).then(({ canceled, selection }) => {
+            if (canceled) return
+
+            switch (selection) {
+                case 0:
+                    savePresetForm(player, 'Save Preset', name => {
+                        savePreset(player, name)
+                        playerMessage(player, `\u00a7aPreset ${name} saved`)
+                    }, () => presetsMenu(player))
+                    break
+
+                case 1:
+                    loadPresetForm(player)
+                    break
+
+                case 2: {
+                    const names = Object.keys(getPresets(player))
+                    showPresetDropdown(player, 'Delete Preset', names, name => {
+                        deletePreset(player, name)
+                        playerMessage(player, `\u00a7aPreset ${name} deleted`)
+                    }, () => presetsMenu(player))
+                    break
+                }
+
+                case 3:
+                    sharePresetForm(player)
+                    break
+
+                case 4:
+                    configMenu(player)
+                    break
+            }
+        })
+}
+
+function savePresetForm(player, title, onSave, reopenMenu) {
+    new ModalFormData()
+        .title(title)
+        .textField(infoLabel('Name'), 'lumberjack', {
+            tooltip: 'Saving under an existing name replaces that preset.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                reopenMenu()
+                return
+            }
+
+            const name = normalizePresetName(formValues[0])
+            if (!name) {
+                playerMessage(player, '\u00a7cInvalid preset name')
+            } else {
+                onSave(name)
+            }
+            reopenMenu()
+        })
+}
+
+function showPresetDropdown(player, title, labels, onSelect, reopenMenu) {
+    if (!labels.length) {
+        playerMessage(player, '\u00a7cNo presets')
+        reopenMenu()
+        return
+    }
+
+    new ModalFormData()
+        .title(title)
+        .dropdown(infoLabel('Preset'), labels, { defaultValueIndex: 0 })
+        .show(player).then(({ canceled, formValues }) => {
+            if (!canceled) onSelect(labels[formValues[0]], formValues[0])
+            reopenMenu()
+        })
+}
+
+function loadPresetForm(player) {
+    const entries = [
+        ...Object.entries(getPresets(player)).map(([name, preset]) => ({ label: name, preset })),
+        ...Object.entries(getServerPresets()).map(([name, preset]) => ({ label: `[Server] ${name}`, preset })),
+    ]
+
+    showPresetDropdown(player, 'Load Preset', entries.map(entry => entry.label), (label, index) => {
+        applyPreset(player, entries[index].preset)
+        playerMessage(player, `\u00a7aPreset ${label} loaded: ${formatPreset(entries[index].preset)}`)
+    }, () => presetsMenu(player))
+}
+
+function sharePresetForm(player) {
+    const presets = getPresets(player)
+    const names = Object.keys(presets)
+    const targets = world.getAllPlayers().filter(other => other.id !== player.id)
+
+    if (!names.length || !targets.length) {
+        playerMessage(player, names.length ? '\u00a7cNo other players online' : '\u00a7cNo presets')
+        presetsMenu(player)
+        return
+    }
+
+    new ModalFormData()
+        .title('Share Preset')
+        .dropdown(infoLabel('Preset'), names, { defaultValueIndex: 0 })
+        .dropdown(infoLabel('Player'), targets.map(target => target.name), { defaultValueIndex: 0 })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                presetsMenu(player)
+                return
+            }
+
+            const name = names[formValues[0]]
+            const target = targets[formValues[1]]
+            if (name && target?.isValid) {
+                showSharedPresetForm(target, player, name, presets[name])
+                playerMessage(player, `\u00a7ePreset ${name} sent to ${target.name}`)
+            }
+            presetsMenu(player)
+        })
+}
+
+/**
+ * Asks `target` whether to keep a preset shared by `sender`.
+ * @param {Player} target
+ * @param {Player} sender
+ * @param {string} name
+ * @param {{shape: string, limit: number, connect: boolean, list: string[]}} preset
+ */
+export function showSharedPresetForm(target, sender, name, preset) {
+    new ActionFormData()
+        .title('Shared Preset')
+        .body(`${sender.name} shared the preset "${name}"\n${formatPreset(preset)}`)
+        .button('Save Preset', 'textures/ui/realms_slot_check')
+        .button('Save and Load', 'textures/ui/download_backup')
+        .button('Decline', 'textures/ui/realms_red_x')
+        .show(target).then(({ canceled, selection }) => {
+            const accepted = !canceled && selection !== 2
+            if (accepted) {
+                savePreset(target, name, preset)
+                if (selection === 1) applyPreset(target, preset)
+                playerMessage(target, `\u00a7aPreset ${name} saved`)
+            }
+
+            if (sender.isValid) {
+                playerMessage(sender, accepted ? `\u00a7a${target.name} saved ${name}` : `\u00a7c${target.name} declined ${name}`)
+            }
+        })
+}
+
+function serverPresetsMenu(player) {
+    new ActionFormData()
+        .title('Server Presets')
+        .body('Server presets can be loaded by every player.')
+        .button(`Publish Current Settings\n${infoLabel('Your shape, limit, connect and list')}`, 'textures/ui/realms_slot_check')
+        .button('Remove Server Preset', 'textures/ui/realms_red_x')
+        .button('Back')
+        .show(player).then(({ canceled, selection }) => {
+            if (canceled) return
+
+            switch (selection) {
+                case 0:
+                    savePresetForm(player, 'Publish Preset', name => {
+                        publishServerPreset(name, capturePreset(player))
+                        playerMessage(player, `\u00a7aServer preset ${name} published`)
+                    }, () => serverPresetsMenu(player))
+                    break
+
+                case 1:
+                    showPresetDropdown(player, 'Remove Server Preset', Object.keys(getServerPresets()), name => {
+                        removeServerPreset(name)
+                        playerMessage(player, `\u00a7aServer preset ${name} removed`)
+                    }, () => serverPresetsMenu(player))
+                    break
+
+                case 2:
+                    adminMenu(player)
+                    break
+            }
+        })
+}
+
+const CONNECTIVITY_LABELS = ['Faces (6)', 'Faces + Edges (18)', 'Faces + Edges + Corners (26)']
+
+function connectivityMenu(player) {
+    const settings = getConnectivitySettings(player)
+    const form = new ModalFormData().title('Connectivity')
+
+    for (const shape of connectivityShapes) {
+        form.dropdown(infoLabel(shapeNames[shape]), CONNECTIVITY_LABELS, {
+            defaultValueIndex: Math.max(0, connectivityValues.indexOf(settings[shape])),
+            tooltip: 'Fewer neighbours stop the shape from jumping diagonally between separate veins or trees.',
+        })
+    }
+
+    form.show(player).then(({ canceled, formValues }) => {
+        if (canceled) {
+            configMenu(player)
+            return
+        }
+
+        connectivityShapes.forEach((shape, index) => {
+            setShapeConnectivity(player, shape, connectivityValues[formValues[index]] ?? settings[shape])
+        })
+        playerMessage(player, '\u00a7aConnectivity updated')
+        configMenu(player)
+    })
+}
+
+function playerSettingsMenu(player) {
+    const allowedShapes = Object.keys(veinHandler).filter(key => isShapeAllowedForPlayer(player, key))
+    const shapeKeys = allowedShapes.length ? allowedShapes : ['shapelessVein']
     const currentShape = player.getDynamicProperty('dorios:veinShape') ?? 'shapelessVein'
     const shapeIndex = Math.max(0, shapeKeys.indexOf(currentShape))
-    const globalLimit = getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true)
+    const globalLimit = getGroupLimit(player, getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true))
     const currentLimit = player.getDynamicProperty('dorios:veinLimit') ?? 64
     const enabled = player.getDynamicProperty('dorios:veinEnabled') ?? true
+    const autoPickup = player.getDynamicProperty('dorios:autoPickup') ?? false
+    const stopWhenFull = player.getDynamicProperty('dorios:autoPickupStopWhenFull') ?? false
+    const smeltUnlocked = isAutoSmeltUnlocked()
+    const autoSmelt = player.getDynamicProperty('dorios:autoSmelt') ?? false
+    const autoReplant = player.getDynamicProperty('dorios:autoReplant') ?? false
+    const activationKeys = Object.keys(activationModes)
+    const activationItem = player.getDynamicProperty('dorios:activationItem') ?? ''
+    const tunnel = getTunnelSettings(player)
+    const staircase = getStaircaseSettings(player)
+    const layer = getLayerSettings(player)
+    const maxRadius = getWorldNumber('dorios:maxRadius', 4, 1, 16, true)
+    const branch = getBranchSettings(player)
+    const maxTunnelWidth = getWorldNumber('dorios:maxTunnelWidth', 9, 1, 32, true)
+    const maxTunnelHeight = getWorldNumber('dorios:maxTunnelHeight', 9, 1, 32, true)
+    const maxTunnelLength = getWorldNumber('dorios:maxTunnelLength', 64, 1, 256, true)
 
-    new ModalFormData()
+    const form = new ModalFormData()
         .title('Quick Settings')
         .toggle(infoLabel('Excavate Enabled'), {
             defaultValue: !!enabled,
@@ -185,22 +628,147 @@ function playerSettingsMenu(player) {
             defaultValue: Math.min(currentLimit, globalLimit),
             tooltip: 'Maximum blocks this player can break per Excavate action.',
         })
-        .show(player).then(({ canceled, formValues }) => {
-            if (canceled) {
-                configMenu(player)
-                return
-            }
+        .toggle(infoLabel('Auto Pickup'), {
+            defaultValue: !!autoPickup,
+            tooltip: 'Sends Excavate loot straight into your inventory. Items that do not fit drop at your feet.',
+        })
+        .toggle(infoLabel('Stop When Inventory Full'), {
+            defaultValue: !!stopWhenFull,
+            tooltip: 'With Auto Pickup on, stops Excavate as soon as your inventory cannot hold more loot.',
+        })
+        .slider(infoLabel('Tunnel Width'), 1, Math.max(maxTunnelWidth, 2), {
+            defaultValue: tunnel.width,
+            tooltip: 'Width of the Tunnel mode, centered on the broken block.',
+        })
+        .slider(infoLabel('Tunnel Height'), 1, Math.max(maxTunnelHeight, 2), {
+            defaultValue: tunnel.height,
+            tooltip: 'Height of the Tunnel mode.',
+        })
+        .slider(infoLabel('Tunnel Length'), 1, Math.max(maxTunnelLength, 2), {
+            defaultValue: tunnel.length,
+            tooltip: 'How many blocks the Tunnel mode digs forward.',
+        })
+        .slider(infoLabel('Tunnel Rows Below'), 0, Math.max(maxTunnelHeight - 1, 1), {
+            defaultValue: tunnel.below,
+            tooltip: 'Rows of the tunnel under the broken block. Set to 0 to start the tunnel at floor level.',
+        })
+        .slider(infoLabel('Staircase Width'), 1, Math.max(maxTunnelWidth, 2), {
+            defaultValue: staircase.width,
+            tooltip: 'Width of the Staircase mode, centered on the broken block.',
+        })
+        .slider(infoLabel('Staircase Headroom'), 3, 4, {
+            defaultValue: staircase.height,
+            tooltip: 'Blocks cleared above each step.',
+        })
+        .slider(infoLabel('Staircase Steps'), 1, Math.max(maxTunnelLength, 2), {
+            defaultValue: staircase.length,
+            tooltip: 'Number of steps. Look down to dig downwards, look up to dig upwards.',
+        })
+        .slider(infoLabel('Layer Width'), 1, Math.max(maxTunnelWidth, 2), {
+            defaultValue: layer.width,
+            tooltip: 'Width of the Layer mode area, across your view.',
+        })
+        .slider(infoLabel('Layer Length'), 1, Math.max(maxTunnelLength, 2), {
+            defaultValue: layer.length,
+            tooltip: 'Length of the Layer mode area, along your view.',
+        })
+        .slider(infoLabel('Layer Depth'), 1, Math.max(maxTunnelHeight, 2), {
+            defaultValue: layer.depth,
+            tooltip: 'How many layers are cleared, starting at the broken block and going down.',
+        })
+        .toggle(infoLabel('Layer Extends Forward'), {
+            defaultValue: layer.forward,
+            tooltip: 'When off the area is centered on the broken block. When on it starts there and extends forward.',
+        })
+        .toggle(infoLabel('Layer Any Diggable Block'), {
+            defaultValue: layer.anyBlock,
+            tooltip: 'When off only blocks of the same type are cleared. When on every block your tool can dig is cleared.',
+        })
+        .slider(infoLabel('Sphere/Cube Radius'), 1, Math.max(maxRadius, 2), {
+            defaultValue: getShapeRadius(player),
+            tooltip: 'Radius of the Sphere and Cube modes around the broken block.',
+        })
+        .slider(infoLabel('Branch Main Length'), 1, Math.max(maxTunnelLength, 2), {
+            defaultValue: branch.length,
+            tooltip: 'Length of the 1x2 main tunnel of the Branch Mining mode.',
+        })
+        .slider(infoLabel('Branch Side Length'), 1, Math.max(maxTunnelLength, 2), {
+            defaultValue: branch.sideLength,
+            tooltip: 'Length of each side branch, on both sides of the main tunnel.',
+        })
+        .slider(infoLabel('Branch Spacing'), 2, 16, {
+            defaultValue: branch.spacing,
+            tooltip: 'A pair of side branches is dug every N blocks of the main tunnel.',
+        })
+        .toggle(infoLabel('Branch Vein Mines Ores'), {
+            defaultValue: branch.veinOres,
+            tooltip: 'With Vein Connect on, listed ores exposed in the branch walls are vein-mined too.',
+        })
+        .toggle(infoLabel('Auto Replant'), {
+            defaultValue: !!autoReplant,
+            tooltip: 'Tree Capitator plants a sapling where the trunk stood, taken from the drops or your inventory.',
+        })
+        .dropdown(infoLabel('Activation'), Object.values(activationModes), {
+            defaultValueIndex: Math.max(0, activationKeys.indexOf(getActivationMode(player))),
+            tooltip: 'When Excavate and its preview are active. Double-Tap Sneak flips Excavate on and off.',
+        })
+        .textField(infoLabel('Activation Offhand Item'), 'minecraft:totem_of_undying', {
+            defaultValue: activationItem,
+            tooltip: 'Item required in the offhand for the Offhand Item mode. Leave empty to accept any item.',
+        })
 
-            const nextEnabled = !!formValues[0]
-            const nextShape = shapeKeys[formValues[1]] ?? 'shapelessVein'
-            const nextLimit = Math.floor(formValues[2])
+    if (smeltUnlocked) {
+        form.toggle(infoLabel('Auto-Smelt'), {
+            defaultValue: !!autoSmelt,
+            tooltip: 'Smelts excavated drops before they are collected. May cost fuel from your inventory.',
+        })
+    }
 
-            player.setDynamicProperty('dorios:veinEnabled', nextEnabled)
-            player.setDynamicProperty('dorios:veinShape', nextShape)
-            player.setDynamicProperty('dorios:veinLimit', nextLimit)
-            playerMessage(player, '\u00a7aExcavate settings updated')
+    form.show(player).then(({ canceled, formValues }) => {
+        if (canceled) {
             configMenu(player)
-        })
+            return
+        }
+
+        const nextEnabled = !!formValues[0]
+        const nextShape = shapeKeys[formValues[1]] ?? 'shapelessVein'
+        const nextLimit = Math.floor(formValues[2])
+
+        player.setDynamicProperty('dorios:veinEnabled', nextEnabled)
+        player.setDynamicProperty('dorios:veinShape', nextShape)
+        player.setDynamicProperty('dorios:veinLimit', nextLimit)
+        player.setDynamicProperty('dorios:autoPickup', !!formValues[3])
+        player.setDynamicProperty('dorios:autoPickupStopWhenFull', !!formValues[4])
+
+        const nextHeight = clampNumber(Number(formValues[6]), 1, maxTunnelHeight, true)
+        player.setDynamicProperty('dorios:tunnelWidth', clampNumber(Number(formValues[5]), 1, maxTunnelWidth, true))
+        player.setDynamicProperty('dorios:tunnelHeight', nextHeight)
+        player.setDynamicProperty('dorios:tunnelLength', clampNumber(Number(formValues[7]), 1, maxTunnelLength, true))
+        player.setDynamicProperty('dorios:tunnelBelow', clampNumber(Number(formValues[8]), 0, nextHeight - 1, true))
+
+        player.setDynamicProperty('dorios:stairWidth', clampNumber(Number(formValues[9]), 1, maxTunnelWidth, true))
+        player.setDynamicProperty('dorios:stairHeight', clampNumber(Number(formValues[10]), 3, 4, true))
+        player.setDynamicProperty('dorios:stairLength', clampNumber(Number(formValues[11]), 1, maxTunnelLength, true))
+
+        player.setDynamicProperty('dorios:layerWidth', clampNumber(Number(formValues[12]), 1, maxTunnelWidth, true))
+        player.setDynamicProperty('dorios:layerLength', clampNumber(Number(formValues[13]), 1, maxTunnelLength, true))
+        player.setDynamicProperty('dorios:layerDepth', clampNumber(Number(formValues[14]), 1, maxTunnelHeight, true))
+        player.setDynamicProperty('dorios:layerForward', !!formValues[15])
+        player.setDynamicProperty('dorios:layerAnyBlock', !!formValues[16])
+
+        player.setDynamicProperty('dorios:shapeRadius', clampNumber(Number(formValues[17]), 1, maxRadius, true))
+
+        player.setDynamicProperty('dorios:branchLength', clampNumber(Number(formValues[18]), 1, maxTunnelLength, true))
+        player.setDynamicProperty('dorios:branchSideLength', clampNumber(Number(formValues[19]), 1, maxTunnelLength, true))
+        player.setDynamicProperty('dorios:branchSpacing', clampNumber(Number(formValues[20]), 2, 16, true))
+        player.setDynamicProperty('dorios:branchVeinOres', !!formValues[21])
+        player.setDynamicProperty('dorios:autoReplant', !!formValues[22])
+        setActivationMode(player, activationKeys[formValues[23]] ?? 'sneak', String(formValues[24] ?? '').trim())
+
+        if (smeltUnlocked) player.setDynamicProperty('dorios:autoSmelt', !!formValues[25])
+        playerMessage(player, '\u00a7aExcavate settings updated')
+        configMenu(player)
+    })
 }
 
 function adminMenu(player) {
@@ -213,6 +781,12 @@ function adminMenu(player) {
         .button('Remove Block from Default List', 'textures/ui/realms_red_x')
         .button('Add Block to Blacklist', 'textures/blocks/barrier')
         .button('Remove Block from Blacklist', 'textures/ui/icon_trash')
+        .button(`Auto-Smelt Settings\n${infoLabel(isAutoSmeltUnlocked() ? 'Unlocked' : 'Locked')}`, 'textures/blocks/furnace_front_on')
+        .button(`Replant Saplings\n${infoLabel(`${Object.keys(getSaplingTable()).length} logs`)}`, 'textures/blocks/sapling_oak')
+        .button(`Aliases & Connect Groups\n${infoLabel(`${Object.keys(getConnectGroups()).length} groups`)}`, 'textures/ui/icon_book_writable')
+        .button(`Server Presets\n${infoLabel(`${Object.keys(getServerPresets()).length} published`)}`, 'textures/items/book_enchanted')
+        .button(`Regions\n${infoLabel(`${getRegions().length} regions`)}`, 'textures/items/map_filled')
+        .button(`Permission Groups\n${infoLabel(`${getPermissionGroups().length} groups`)}`, 'textures/ui/permissions_member_star')
         .button('Back')
 
     adminMenuForm.show(player).then(({ canceled, selection }) => {
@@ -228,8 +802,13 @@ function adminMenu(player) {
                 break
 
             case 2:
-                playerMessage(player, '\u00a7eBreak a block to add it')
-                setCaptureMode(player, 'dorios:isDefaultAdding')
+                showAddBlockForm(
+                    player,
+                    'Add Block to Default List',
+                    'dorios:isDefaultAdding',
+                    entry => addToDefaultList(player, entry),
+                    () => adminMenu(player)
+                )
                 break
 
             case 3:
@@ -247,8 +826,13 @@ function adminMenu(player) {
                 break
 
             case 4:
-                playerMessage(player, '\u00a7eBreak a block to add it')
-                setCaptureMode(player, 'dorios:isBlacklistAdding')
+                showAddBlockForm(
+                    player,
+                    'Add Block to Blacklist',
+                    'dorios:isBlacklistAdding',
+                    entry => addToBlacklist(player, entry),
+                    () => adminMenu(player)
+                )
                 break
 
             case 5:
@@ -266,31 +850,669 @@ function adminMenu(player) {
                 break
 
             case 6:
+                autoSmeltMenu(player)
+                break
+
+            case 7:
+                saplingMenu(player)
+                break
+
+            case 8:
+                blockGroupsMenu(player)
+                break
+
+            case 9:
+                serverPresetsMenu(player)
+                break
+
+            case 10:
+                regionsMenu(player)
+                break
+
+            case 11:
+                permissionGroupsMenu(player)
+                break
+
+            case 12:
                 configMenu(player)
                 break
         }
     })
 }
 
-function basicAdminSettingsMenu(player) {
-    const noConsumeDurability = world.getDynamicProperty('dorios:noConsumeDurability') ?? false
-    const noConsumeSaturation = world.getDynamicProperty('dorios:noConsumeSaturation') ?? false
-    const globalLimit = getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true)
+function formatSmeltConversion([input, output]) {
+    return `${formatBlockName(input)} -> ${formatBlockName(output)}`
+}
+
+function autoSmeltMenu(player) {
+    const conversions = Object.entries(getSmeltTable())
+
+    new ActionFormData()
+        .title('Auto-Smelt Settings')
+        .button(`General\n${infoLabel('Unlock and fuel cost')}`, 'textures/ui/gear')
+        .button(`Add Conversion\n${infoLabel(`${conversions.length} conversions`)}`, 'textures/ui/realms_slot_check')
+        .button('Remove Conversion', 'textures/ui/realms_red_x')
+        .button('Back')
+        .show(player).then(({ canceled, selection }) => {
+            if (canceled) return
 
+            switch (selection) {
+                case 0:
+                    autoSmeltGeneralMenu(player)
+                    break
+
+                case 1:
+                    addSmeltConversionMenu(player)
+                    break
+
+                case 2:
+                    removeSmeltConversionMenu(player, conversions)
+                    break
+
+                case 3:
+                    adminMenu(player)
+                    break
+            }
+        })
+}
+
+function autoSmeltGeneralMenu(player) {
     new ModalFormData()
-        .title('Basic Admin Settings')
-        .slider(infoLabel('Global Max Blocks'), 1, 4096, {
-            defaultValue: globalLimit,
-            tooltip: 'Maximum personal block limit players are allowed to set.',
+        .title('Auto-Smelt General')
+        .toggle(infoLabel('Unlock Auto-Smelt'), {
+            defaultValue: isAutoSmeltUnlocked(),
+            tooltip: 'Lets players turn on Auto-Smelt in their Quick Settings.',
         })
-        .toggle(infoLabel('Consume Durability'), {
-            defaultValue: !noConsumeDurability,
-            tooltip: 'When enabled, tools lose durability while Excavate breaks blocks.',
+        .toggle(infoLabel('Consume Fuel'), {
+            defaultValue: !!world.getDynamicProperty('dorios:autoSmeltFuelCost'),
+            tooltip: 'Each smelted item uses fuel from the inventory: coal or charcoal smelt 8 items, a lava bucket 100.',
         })
-        .toggle(infoLabel('Consume Food'), {
-            defaultValue: !noConsumeSaturation,
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                autoSmeltMenu(player)
+                return
+            }
+
+            world.setDynamicProperty('dorios:autoSmeltUnlocked', !!formValues[0])
+            world.setDynamicProperty('dorios:autoSmeltFuelCost', !!formValues[1])
+            playerMessage(player, '\u00a7aAuto-Smelt settings updated')
+            autoSmeltMenu(player)
+        })
+}
+
+function addSmeltConversionMenu(player) {
+    new ModalFormData()
+        .title('Add Conversion')
+        .textField(infoLabel('Input Item'), 'minecraft:raw_iron', {
+            tooltip: 'Item type ID of the excavated drop.',
+        })
+        .textField(infoLabel('Output Item'), 'minecraft:iron_ingot', {
+            tooltip: 'Item type ID the drop is smelted into.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                autoSmeltMenu(player)
+                return
+            }
+
+            const input = String(formValues[0] ?? '').trim()
+            const output = String(formValues[1] ?? '').trim()
+            if (!input || !output) {
+                playerMessage(player, '\u00a7cBoth item IDs are required')
+                autoSmeltMenu(player)
+                return
+            }
+
+            if (setSmeltConversion(input, output)) {
+                playerMessage(player, '\u00a7aConversion successfully added')
+            } else {
+                playerMessage(player, '\u00a7cInvalid output item')
+            }
+            autoSmeltMenu(player)
+        })
+}
+
+function removeSmeltConversionMenu(player, conversions) {
+    if (!conversions.length) {
+        playerMessage(player, '\u00a7cNo conversions to remove')
+        autoSmeltMenu(player)
+        return
+    }
+
+    new ModalFormData()
+        .title('Remove Conversion')
+        .dropdown(infoLabel('Conversion'), conversions.map(formatSmeltConversion), {
+            defaultValueIndex: 0,
+            tooltip: 'Only one conversion is removed at a time.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                autoSmeltMenu(player)
+                return
+            }
+
+            const selected = conversions[formValues[0]]
+            if (!selected) return
+
+            removeSmeltConversion(selected[0])
+            playerMessage(player, '\u00a7aConversion successfully removed')
+            autoSmeltMenu(player)
+        })
+}
+
+function formatSaplingMapping([log, sapling]) {
+    return `${formatBlockName(log)} -> ${formatBlockName(sapling)}`
+}
+
+function saplingMenu(player) {
+    const mappings = Object.entries(getSaplingTable())
+
+    new ActionFormData()
+        .title('Replant Saplings')
+        .button(`Add Sapling\n${infoLabel(`${mappings.length} logs`)}`, 'textures/ui/realms_slot_check')
+        .button('Remove Sapling', 'textures/ui/realms_red_x')
+        .button('Back')
+        .show(player).then(({ canceled, selection }) => {
+            if (canceled) return
+
+            switch (selection) {
+                case 0:
+                    addSaplingMappingMenu(player)
+                    break
+
+                case 1:
+                    removeSaplingMappingMenu(player, mappings)
+                    break
+
+                case 2:
+                    adminMenu(player)
+                    break
+            }
+        })
+}
+
+function addSaplingMappingMenu(player) {
+    new ModalFormData()
+        .title('Add Sapling')
+        .textField(infoLabel('Log Block'), 'minecraft:oak_log', {
+            tooltip: 'Block type ID of the trunk felled by Tree Capitator.',
+        })
+        .textField(infoLabel('Sapling Block'), 'minecraft:oak_sapling', {
+            tooltip: 'Block type ID planted in its place. Must also be the item collected from the leaves.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                saplingMenu(player)
+                return
+            }
+
+            const log = String(formValues[0] ?? '').trim()
+            const sapling = String(formValues[1] ?? '').trim()
+            if (!log || !sapling) {
+                playerMessage(player, '\u00a7cBoth block IDs are required')
+                saplingMenu(player)
+                return
+            }
+
+            setSaplingMapping(log, sapling)
+            playerMessage(player, '\u00a7aSapling successfully added')
+            saplingMenu(player)
+        })
+}
+
+function removeSaplingMappingMenu(player, mappings) {
+    if (!mappings.length) {
+        playerMessage(player, '\u00a7cNo saplings to remove')
+        saplingMenu(player)
+        return
+    }
+
+    new ModalFormData()
+        .title('Remove Sapling')
+        .dropdown(infoLabel('Log'), mappings.map(formatSaplingMapping), {
+            defaultValueIndex: 0,
+            tooltip: 'Only one log is removed at a time.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                saplingMenu(player)
+                return
+            }
+
+            const selected = mappings[formValues[0]]
+            if (!selected) return
+
+            removeSaplingMapping(selected[0])
+            playerMessage(player, '\u00a7aSapling successfully removed')
+            saplingMenu(player)
+        })
+}
+
+function blockGroupsMenu(player) {
+    const aliases = Object.entries(getAliasTable())
+    const members = Object.entries(getConnectGroups())
+        .flatMap(([name, blocks]) => blocks.map(block => [name, block]))
+
+    new ActionFormData()
+        .title('Aliases & Connect Groups')
+        .button(`Add Alias\n${infoLabel(`${aliases.length} aliases`)}`, 'textures/ui/realms_slot_check')
+        .button('Remove Alias', 'textures/ui/realms_red_x')
+        .button(`Add Block to Group\n${infoLabel('Grouped blocks only chain within their group')}`, 'textures/ui/realms_slot_check')
+        .button('Remove Block from Group', 'textures/ui/realms_red_x')
+        .button('Back')
+        .show(player).then(({ canceled, selection }) => {
+            if (canceled) return
+
+            switch (selection) {
+                case 0:
+                    addAliasMenu(player)
+                    break
+
+                case 1:
+                    showRemoveGroupEntryDropdown(
+                        player,
+                        'Remove Alias',
+                        aliases,
+                        ([block, target]) => `${formatBlockName(block)} -> ${formatBlockName(target)}`,
+                        ([block]) => removeAlias(block)
+                    )
+                    break
+
+                case 2:
+                    addGroupBlockMenu(player)
+                    break
+
+                case 3:
+                    showRemoveGroupEntryDropdown(
+                        player,
+                        'Remove Block from Group',
+                        members,
+                        ([name, block]) => `${name}: ${formatBlockName(block)}`,
+                        ([name, block]) => removeFromConnectGroup(name, block)
+                    )
+                    break
+
+                case 4:
+                    adminMenu(player)
+                    break
+            }
+        })
+}
+
+function addAliasMenu(player) {
+    new ModalFormData()
+        .title('Add Alias')
+        .textField(infoLabel('Block'), 'minecraft:deepslate_iron_ore', {
+            tooltip: 'Block type ID that gets the alias.',
+        })
+        .textField(infoLabel('Treated As'), 'minecraft:iron_ore', {
+            tooltip: 'Block type ID it counts as for lists, shapes and groups.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                blockGroupsMenu(player)
+                return
+            }
+
+            const block = String(formValues[0] ?? '').trim()
+            const target = String(formValues[1] ?? '').trim()
+            if (!block || !target) {
+                playerMessage(player, '\u00a7cBoth block IDs are required')
+                blockGroupsMenu(player)
+                return
+            }
+
+            setAlias(block, target)
+            playerMessage(player, '\u00a7aAlias successfully added')
+            blockGroupsMenu(player)
+        })
+}
+
+function addGroupBlockMenu(player) {
+    new ModalFormData()
+        .title('Add Block to Group')
+        .textField(infoLabel('Group'), 'ores', {
+            tooltip: 'Name of the connect group. It is created if it does not exist.',
+        })
+        .textField(infoLabel('Block'), 'minecraft:iron_ore', {
+            tooltip: 'Block type ID added to the group.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                blockGroupsMenu(player)
+                return
+            }
+
+            const name = String(formValues[0] ?? '').trim()
+            const block = String(formValues[1] ?? '').trim()
+            if (!name || !block) {
+                playerMessage(player, '\u00a7cGroup and block are required')
+                blockGroupsMenu(player)
+                return
+            }
+
+            addToConnectGroup(name, block)
+            playerMessage(player, `\u00a7aBlock added to group ${name}`)
+            blockGroupsMenu(player)
+        })
+}
+
+function showRemoveGroupEntryDropdown(player, title, entries, formatEntry, removeEntry) {
+    if (!entries.length) {
+        playerMessage(player, '\u00a7cNothing to remove')
+        blockGroupsMenu(player)
+        return
+    }
+
+    new ModalFormData()
+        .title(title)
+        .dropdown(infoLabel('Entry'), entries.map(formatEntry), {
+            defaultValueIndex: 0,
+            tooltip: 'Only one entry is removed at a time.',
+        })
+        .show(player).then(({ canceled, formValues }) => {
+            if (canceled) {
+                blockGroupsMenu(player)
+                return
+            }
+
+            const selected = entries[formValues[0]]
+            if (!selected) return
+
+            removeEntry(selected)
+            playerMessage(player, '\u00a7aEntry successfully removed')
+            blockGroupsMenu(player)
+        })
+}
+
+function getMarkedCorner(player, property) {
+    try {
+        return JSON.parse(player.getDynamicProperty(property) ?? 'null')
+    } catch {
+        return null
+    }
+}
+
+function formatCorner(pos) {
+    return pos ? `${pos.x} ${pos.y} ${pos.z}` : 'not set'
+}
+
+function regionsMenu(player) {
+    const regions = getRegions()
+    const pos1 = getMarkedCorner(player, 'dorios:regionPos1')
+    const pos2 = getMarkedCorner(player, 'dorios:regionPos2')
+    const form = new ActionFormData()
+        .title('Regions')
+        .body('Regions deny excavation, cap the block limit or restrict the shapes. The strictest overlapping rule wins.')
+
+    for (const region of regions) {
+        const area = region.min ? 'Box' : 'Dimension'
+        form.button(`${region.name}\n${infoLabel(`${area} | ${region.allow ? 'Allowed' : 'Denied'}`)}`)
+    }
+
+    form
+        .button(`Mark Corner 1 Here\n${infoLabel(formatCorner(pos1))}`, 'textures/ui/realms_slot_check')
+        .button(`Mark Corner 2 Here\n${infoLabel(formatCorner(pos2))}`, 'textures/ui/realms_slot_check')
+        .button('Add Region', 'textures/items/map_filled')
+        .button('Back')
+
+    form.show(player).then(({ canceled, selection }) => {
+        if (canceled) return
+
+        if (selection < regions.length) {
+            regionForm(player, regions[selection])
+            return
+        }
+
+        switch (selection - regions.length) {
+            case 0:
+            case 1: {
+                const { x, y, z } = player.location
+                const property = selection === regions.length ? 'dorios:regionPos1' : 'dorios:regionPos2'
+                player.setDynamicProperty(property, JSON.stringify({ x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) }))
+                regionsMenu(player)
+                break
+            }
+
+            case 2:
+                regionForm(player, null)
+                break
+
+            case 3:
+                adminMenu(player)
+                break
+        }
+    })
+}
+
+function regionForm(player, region) {
+    const shapeKeys = Object.keys(veinHandler)
+    const globalLimit = getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true)
+    const form = new ModalFormData().title(region ? `Region: ${region.name}` : 'Add Region')
+
+    if (!region) {
+        form
+            .textField(infoLabel('Name'), 'spawn')
+            .dropdown(infoLabel('Area'), ['Marked Corners', 'Whole Current Dimension'], {
+                defaultValueIndex: 0,
+                tooltip: 'Mark the corners from the Regions menu or with excavateregionmark.',
+            })
+    }
+
+    form
+        .toggle(infoLabel('Allow Excavation'), {
+            defaultValue: region?.allow ?? false,
+            tooltip: 'When off, no block inside the region is excavated nor previewed.',
+        })
+        .slider(infoLabel('Block Limit (0 = no override)'), 0, Math.max(globalLimit, 2), {
+            defaultValue: Math.min(region?.maxLimit ?? 0, globalLimit),
+        })
+
+    for (const key of shapeKeys) {
+        form.toggle(infoLabel(`Allow ${shapeNames[key] ?? key}`), {
+            defaultValue: !region?.shapes?.length || region.shapes.includes(key),
+        })
+    }
+
+    if (region) {
+        form.toggle(infoLabel('Delete Region'), { defaultValue: false })
+    }
+
+    form.show(player).then(({ canceled, formValues }) => {
+        if (canceled) {
+            regionsMenu(player)
+            return
+        }
+
+        let next = region ? { ...region } : null
+        let offset = 0
+        if (!region) {
+            const name = String(formValues[0] ?? '').trim()
+            if (!name) {
+                playerMessage(player, '\u00a7cRegion name is required')
+                regionsMenu(player)
+                return
+            }
+
+            next = { name, dimension: player.dimension.id }
+            if (formValues[1] === 0) {
+                const pos1 = getMarkedCorner(player, 'dorios:regionPos1')
+                const pos2 = getMarkedCorner(player, 'dorios:regionPos2')
+                if (!pos1 || !pos2) {
+                    playerMessage(player, '\u00a7cMark both corners first')
+                    regionsMenu(player)
+                    return
+                }
+                Object.assign(next, getRegionBox(pos1, pos2))
+            }
+            offset = 2
+        }
+
+        if (region && formValues[offset + 2 + shapeKeys.length]) {
+            removeRegion(region.name)
+            playerMessage(player, `\u00a7aRegion ${region.name} removed`)
+            regionsMenu(player)
+            return
+        }
+
+        const shapes = shapeKeys.filter((_, index) => formValues[offset + 2 + index])
+        next.allow = !!formValues[offset]
+        next.maxLimit = clampNumber(Number(formValues[offset + 1]), 0, globalLimit, true) ?? 0
+        next.shapes = shapes.length === shapeKeys.length ? [] : shapes
+
+        setRegion(next)
+        playerMessage(player, `\u00a7aRegion ${next.name} saved`)
+        regionsMenu(player)
+    })
+}
+
+function permissionGroupsMenu(player) {
+    const groups = getPermissionGroups()
+    const form = new ActionFormData()
+        .title('Permission Groups')
+        .body(`Players get the first group whose tag they have. Players without a group tag use ${DEFAULT_GROUP_TAG} when it exists.`)
+
+    for (const group of groups) {
+        const limit = group.maxLimit > 0 ? group.maxLimit : 'World'
+        form.button(`${group.tag}\n${infoLabel(`Limit ${limit} | Cooldown ${group.cooldown ?? 0}s`)}`)
+    }
+
+    form
+        .button('Add Group', 'textures/ui/color_plus')
+        .button('Back')
+
+    form.show(player).then(({ canceled, selection }) => {
+        if (canceled) return
+
+        if (selection < groups.length) {
+            permissionGroupForm(player, groups[selection])
+        } else if (selection === groups.length) {
+            permissionGroupForm(player, null)
+        } else {
+            adminMenu(player)
+        }
+    })
+}
+
+function permissionGroupForm(player, group) {
+    const shapeKeys = Object.keys(veinHandler)
+    const form = new ModalFormData().title(group ? `Group: ${group.tag}` : 'Add Group')
+
+    if (!group) {
+        form.textField(infoLabel('Player Tag'), DEFAULT_GROUP_TAG, {
+            tooltip: 'Players with this tag belong to the group. Give it with /tag.',
+        })
+    }
+
+    form
+        .slider(infoLabel('Max Blocks (0 = world limit)'), 0, MAX_GROUP_LIMIT, {
+            defaultValue: Math.min(group?.maxLimit ?? 0, MAX_GROUP_LIMIT),
+            tooltip: 'Replaces the world limit for this group, higher or lower.',
+        })
+        .slider(infoLabel('Cooldown (seconds)'), 0, 300, {
+            defaultValue: group?.cooldown ?? 0,
+            tooltip: 'Time after each run before the player can excavate again.',
+        })
+        .slider(infoLabel('Durability Cost %'), 0, 400, {
+            valueStep: 25,
+            defaultValue: Math.round((group?.durabilityMultiplier ?? 1) * 100),
+            tooltip: 'Percent of the world durability cost this group pays.',
+        })
+        .slider(infoLabel('Hunger Cost %'), 0, 400, {
+            valueStep: 25,
+            defaultValue: Math.round((group?.hungerMultiplier ?? 1) * 100),
+            tooltip: 'Percent of the world food cost this group pays.',
+        })
+
+    for (const key of shapeKeys) {
+        form.toggle(infoLabel(`Allow ${shapeNames[key] ?? key}`), {
+            defaultValue: !group?.shapes?.length || group.shapes.includes(key),
+        })
+    }
+
+    if (group) {
+        form.toggle(infoLabel('Delete Group'), { defaultValue: false })
+    }
+
+    form.show(player).then(({ canceled, formValues }) => {
+        if (canceled) {
+            permissionGroupsMenu(player)
+            return
+        }
+
+        const offset = group ? 0 : 1
+        const tag = group?.tag ?? String(formValues[0] ?? '').trim()
+        if (!tag) {
+            playerMessage(player, '\u00a7cPlayer tag is required')
+            permissionGroupsMenu(player)
+            return
+        }
+
+        if (group && formValues[offset + 4 + shapeKeys.length]) {
+            removePermissionGroup(tag)
+            playerMessage(player, `\u00a7aGroup ${tag} removed`)
+            permissionGroupsMenu(player)
+            return
+        }
+
+        const shapes = shapeKeys.filter((_, index) => formValues[offset + 4 + index])
+        setPermissionGroup({
+            tag,
+            maxLimit: clampNumber(Number(formValues[offset]), 0, MAX_GROUP_LIMIT, true) ?? 0,
+            cooldown: clampNumber(Number(formValues[offset + 1]), 0, 300, true) ?? 0,
+            durabilityMultiplier: (clampNumber(Number(formValues[offset + 2]), 0, 400, true) ?? 100) / 100,
+            hungerMultiplier: (clampNumber(Number(formValues[offset + 3]), 0, 400, true) ?? 100) / 100,
+            shapes: shapes.length === shapeKeys.length ? [] : shapes,
+        })
+        playerMessage(player, `\u00a7aGroup ${tag} saved`)
+        permissionGroupsMenu(player)
+    })
+}
+
+function basicAdminSettingsMenu(player) {
+    const noConsumeDurability = world.getDynamicProperty('dorios:noConsumeDurability') ?? false
+    const noConsumeSaturation = world.getDynamicProperty('dorios:noConsumeSaturation') ?? false
+    const ledgerEnabled = world.getDynamicProperty('dorios:ledgerEnabled') ?? true
+    const globalLimit = getWorldNumber('dorios:maxLimit', maxLimit, 1, 4096, true)
+    const maxTunnelWidth = getWorldNumber('dorios:maxTunnelWidth', 9, 1, 32, true)
+    const maxTunnelHeight = getWorldNumber('dorios:maxTunnelHeight', 9, 1, 32, true)
+    const maxTunnelLength = getWorldNumber('dorios:maxTunnelLength', 64, 1, 256, true)
+    const maxRadius = getWorldNumber('dorios:maxRadius', 4, 1, 16, true)
+
+    new ModalFormData()
+        .title('Basic Admin Settings')
+        .slider(infoLabel('Global Max Blocks'), 1, 4096, {
+            defaultValue: globalLimit,
+            tooltip: 'Maximum personal block limit players are allowed to set.',
+        })
+        .toggle(infoLabel('Consume Durability'), {
+            defaultValue: !noConsumeDurability,
+            tooltip: 'When enabled, tools lose durability while Excavate breaks blocks.',
+        })
+        .toggle(infoLabel('Consume Food'), {
+            defaultValue: !noConsumeSaturation,
             tooltip: 'When enabled, Excavate consumes hunger or saturation over time.',
         })
+        .slider(infoLabel('Max Tunnel Width'), 1, 32, {
+            defaultValue: maxTunnelWidth,
+            tooltip: 'Widest tunnel players are allowed to set.',
+        })
+        .slider(infoLabel('Max Tunnel Height'), 1, 32, {
+            defaultValue: maxTunnelHeight,
+            tooltip: 'Tallest tunnel players are allowed to set.',
+        })
+        .slider(infoLabel('Max Tunnel Length'), 1, 256, {
+            defaultValue: maxTunnelLength,
+            tooltip: 'Longest tunnel players are allowed to set.',
+        })
+        .slider(infoLabel('Max Sphere/Cube Radius'), 1, 16, {
+            defaultValue: maxRadius,
+            tooltip: 'Largest radius players are allowed to set for the Sphere and Cube modes.',
+        })
+        .toggle(infoLabel('Protect Placed Blocks'), {
+            defaultValue: !!ledgerEnabled,
+            tooltip: 'When enabled, Excavate never breaks blocks that were placed by players. Entries can go stale: a spot whose block was replaced by the same type without being broken stays protected.',
+        })
         .show(player).then(({ canceled, formValues }) => {
             if (canceled) {
                 adminMenu(player)
@@ -308,6 +1530,11 @@ function basicAdminSettingsMenu(player) {
             world.setDynamicProperty('dorios:maxVeinLimit', nextGlobalLimit)
             world.setDynamicProperty('dorios:noConsumeDurability', !formValues[1])
             world.setDynamicProperty('dorios:noConsumeSaturation', !formValues[2])
+            world.setDynamicProperty('dorios:maxTunnelWidth', clampNumber(Number(formValues[3]), 1, 32, true))
+            world.setDynamicProperty('dorios:maxTunnelHeight', clampNumber(Number(formValues[4]), 1, 32, true))
+            world.setDynamicProperty('dorios:maxTunnelLength', clampNumber(Number(formValues[5]), 1, 256, true))
+            world.setDynamicProperty('dorios:maxRadius', clampNumber(Number(formValues[6]), 1, 16, true))
+            world.setDynamicProperty('dorios:ledgerEnabled', !!formValues[7])
 
             playerMessage(player, '\u00a7aBasic admin settings updated')
             adminMenu(player)
@@ -322,6 +1549,11 @@ function advancedTuningMenu(player) {
     const saturationCost = getWorldNumber('dorios:saturationCost', 1, 0, 20, true)
     const breakDelayEvery = getWorldNumber('dorios:breakDelayEvery', 32, 1, 1024, true)
     const breakDelayTicks = getWorldNumber('dorios:breakDelayTicks', 1, 0, 20, true)
+    const treeMaxSpread = getWorldNumber('dorios:treeMaxSpread', 6, 1, 32, true)
+    const cooldownPer100Blocks = getWorldNumber('dorios:cooldownPer100Blocks', 0, 0, 60, true)
+    const blocksPerMinute = getWorldNumber('dorios:blocksPerMinute', 0, 0, 16384, true)
+    const blocksPerTick = Math.min(getBlocksPerTick(), 1024)
+    const cancelRules = getCancelRules()
 
     new ModalFormData()
         .title('Advanced Tuning')
@@ -353,6 +1585,37 @@ function advancedTuningMenu(player) {
             defaultValue: breakDelayTicks,
             tooltip: 'Length of the pause in ticks. 20 ticks equals about 1 second.',
         })
+        .slider(infoLabel('Tree Max Spread'), 1, 32, {
+            defaultValue: treeMaxSpread,
+            tooltip: 'How far sideways from the broken log Tree Capitator follows a tree.',
+        })
+        .slider(infoLabel('Cooldown per 100 Blocks (s)'), 0, 60, {
+            defaultValue: cooldownPer100Blocks,
+            tooltip: 'Seconds a player waits after a run for every 100 blocks it broke.',
+        })
+        .slider(infoLabel('Blocks per Minute (0 = off)'), 0, 16384, {
+            valueStep: 256,
+            defaultValue: blocksPerMinute,
+            tooltip: 'Most blocks a player can excavate in any rolling minute.',
+        })
+        .slider(infoLabel('Server Blocks per Tick'), 1, 1024, {
+            defaultValue: blocksPerTick,
+            tooltip: 'Most blocks Excavate breaks per tick across all players, shared fairly between them.',
+        })
+        .slider(infoLabel('Cancel Distance (0 = off)'), 0, 128, {
+            defaultValue: Math.min(cancelRules.distance, 128),
+            tooltip: 'Cancels a run when its player moves this many blocks away from where it started.',
+        })
+        .toggle(infoLabel('Cancel on Death'), {
+            defaultValue: cancelRules.onDeath,
+        })
+        .toggle(infoLabel('Cancel on Dimension Change'), {
+            defaultValue: cancelRules.onDimensionChange,
+        })
+        .toggle(infoLabel('Cancel on Release'), {
+            defaultValue: cancelRules.onRelease,
+            tooltip: 'Cancels a run when its player stops sneaking, or whatever their activation mode needs.',
+        })
         .show(player).then(({ canceled, formValues }) => {
             if (canceled) {
                 adminMenu(player)
@@ -366,6 +1629,16 @@ function advancedTuningMenu(player) {
             world.setDynamicProperty('dorios:saturationCost', clampNumber(Number(formValues[4]), 0, 20, true))
             world.setDynamicProperty('dorios:breakDelayEvery', clampNumber(Number(formValues[5]), 1, 1024, true))
             world.setDynamicProperty('dorios:breakDelayTicks', clampNumber(Number(formValues[6]), 0, 20, true))
+            world.setDynamicProperty('dorios:treeMaxSpread', clampNumber(Number(formValues[7]), 1, 32, true))
+            world.setDynamicProperty('dorios:cooldownPer100Blocks', clampNumber(Number(formValues[8]), 0, 60, true))
+            world.setDynamicProperty('dorios:blocksPerMinute', clampNumber(Number(formValues[9]), 0, 16384, true))
+            setBlocksPerTick(clampNumber(Number(formValues[10]), 1, 1024, true) ?? blocksPerTick)
+            setCancelRules({
+                distance: clampNumber(Number(formValues[11]), 0, 128, true) ?? cancelRules.distance,
+                onDeath: !!formValues[12],
+                onDimensionChange: !!formValues[13],
+                onRelease: !!formValues[14],
+            })
 
             playerMessage(player, '\u00a7aAdvanced tuning updated')
             adminMenu(player)
@@ -375,61 +1648,17 @@ function advancedTuningMenu(player) {
 world.beforeEvents.playerBreakBlock.subscribe(e => {
     const { player, block } = e
 
-    if (player.getDynamicProperty('dorios:isAdding')) {
-        if (blacklist.includes(block.typeId)) {
-            playerMessage(player, '\u00a7cBlock is on the black list')
-            e.cancel = true
-            player.setDynamicProperty('dorios:isAdding', false)
-            return
-        }
+    const captureProperty = CAPTURE_MODE_PROPERTIES.find(property => player.getDynamicProperty(property))
+    if (!captureProperty) return
 
-        const veinList = getPlayerVeinList(player)
-
-        if (veinList.includes(block.typeId)) {
-            playerMessage(player, '\u00a7cBlock already added')
-        } else {
-            veinList.push(block.typeId)
-            player.setDynamicProperty('dorios:veinList', JSON.stringify(veinList))
-            playerMessage(player, '\u00a7aBlock successfully added')
-        }
-
-        e.cancel = true
-        player.setDynamicProperty('dorios:isAdding', false)
-        return
-    }
-
-    if (player.getDynamicProperty('dorios:isBlacklistAdding')) {
-        if (blacklist.includes(block.typeId)) {
-            playerMessage(player, '\u00a7cBlock already added')
-        } else {
-            blacklist.push(block.typeId)
-            world.setDynamicProperty('dorios:veinBlacklist', JSON.stringify(blacklist))
-            playerMessage(player, '\u00a7aBlock successfully added')
-        }
-
-        e.cancel = true
-        player.setDynamicProperty('dorios:isBlacklistAdding', false)
-        return
+    if (captureProperty === 'dorios:isAdding') {
+        addToPlayerList(player, block.typeId, block.permutation)
+    } else if (captureProperty === 'dorios:isBlacklistAdding') {
+        addToBlacklist(player, block.typeId)
+    } else {
+        addToDefaultList(player, block.typeId, block.permutation)
     }
 
-    if (player.getDynamicProperty('dorios:isDefaultAdding')) {
-        if (blacklist.includes(block.typeId)) {
-            playerMessage(player, '\u00a7cBlock is on the black list')
-            e.cancel = true
-            player.setDynamicProperty('dorios:isDefaultAdding', false)
-            return
-        }
-
-        if (list.includes(block.typeId)) {
-            playerMessage(player, '\u00a7cBlock already added')
-        } else {
-            list.push(block.typeId)
-            world.setDynamicProperty('dorios:initialVein', JSON.stringify(list))
-            playerMessage(player, '\u00a7aBlock successfully added')
-        }
-
-        e.cancel = true
-        player.setDynamicProperty('dorios:isDefaultAdding', false)
-        return
-    }
+    e.cancel = true
+    player.setDynamicProperty(captureProperty, false)
 })
@@ -1,6 +1,19 @@
 import { world, system } from '@minecraft/server'
-import { list, blacklist, maxLimit } from 'global_variables.js'
+import { list, maxLimit } from 'global_variables.js'
 import { is_diggable } from 'is_diggable.js'
+import { createHistoryRun, recordRemovedBlock, recordSpawnedLoot, recordExperience, commitHistoryRun } from 'excavate_history.js'
+import { normalizeTypeId, isSameConnectGroup } from 'block_groups.js'
+import { getBlockMatcher, isBlacklisted } from 'block_patterns.js'
+import { replantTree, replantCrops, isHarvestCrop, isMatureCrop } from 'auto_replant.js'
+import { smeltDrops, isAutoSmeltActive } from 'auto_smelt.js'
+import { resolveToolProfile } from 'tool_profiles.js'
+import { isActivationActive } from 'activation.js'
+import { isPlacedBlockProtected, unmarkPlacedBlock } from 'placed_block_ledger.js'
+import { getRegionRules, isRegionDenied } from 'regions.js'
+import { getGroupLimit, isShapeAllowedForPlayer, getCostMultipliers } from 'permission_groups.js'
+import { reserveRun, settleRun, getCooldownRemaining, getBudgetLeft } from 'rate_limit.js'
+import { runJob } from 'excavate_jobs.js'
+import { playerMessage } from 'player_message.js'
 import { Player, ItemStack, Block } from '@minecraft/server'
 
 const DEFAULT_SETTINGS = {
@@ -10,8 +23,66 @@ const DEFAULT_SETTINGS = {
     breakDelayEvery: 32,
     breakDelayTicks: 1,
     veinConnectDefault: false,
+    maxTunnelWidth: 9,
+    maxTunnelHeight: 9,
+    maxTunnelLength: 64,
+    maxRadius: 4,
+    radius: 2,
+    treeMaxSpread: 6,
 }
 
+const DEFAULT_BRANCH = {
+    length: 32,
+    sideLength: 8,
+    spacing: 3,
+    veinOres: true,
+}
+
+const DEFAULT_TUNNEL = {
+    width: 3,
+    height: 3,
+    length: 16,
+}
+
+const DEFAULT_STAIRCASE = {
+    width: 1,
+    height: 3,
+    length: 16,
+}
+
+const DEFAULT_LAYER = {
+    width: 5,
+    length: 5,
+    depth: 1,
+    forward: false,
+    anyBlock: false,
+}
+
+// Fixed tunnel shapes from older versions, migrated to the parametric tunnel.
+const LEGACY_TUNNEL_SHAPES = {
+    largeTunnel: { width: 3, height: 3, below: 1 },
+    smallTunnel: { width: 1, height: 2, below: 0 },
+    lineTunnel: { width: 1, height: 1, below: 0 },
+}
+
+// Blocks whose contents would be lost to `fill air`: the loot gives back only the block itself.
+const STORAGE_BLOCK_COMPONENTS = ['minecraft:inventory', 'minecraft:record_player', 'minecraft:sign']
+const STORAGE_BLOCK_TYPES = new Set([
+    'minecraft:lectern',
+    'minecraft:chiseled_bookshelf',
+    'minecraft:decorated_pot',
+    'minecraft:campfire',
+    'minecraft:soul_campfire',
+    'minecraft:beehive',
+    'minecraft:bee_nest',
+    'minecraft:mob_spawner',
+    'minecraft:trial_spawner',
+    'minecraft:vault',
+])
+
+// Shapes that dig any matching block and do not require the broken block to be on the vein list.
+const LIST_FREE_SHAPES = new Set(['tunnel', 'staircase', 'layer', 'sphere', 'cube', 'branchMine', 'harvest'])
+
 function msg(str) {
     world.sendMessage(`${JSON.stringify(str)}`)
 }
@@ -24,22 +95,31 @@ function getNumberSetting(propertyId, fallback, min = Number.NEGATIVE_INFINITY,
     return Math.min(Math.max(value, min), max)
 }
 
+function getPlayerNumber(player, propertyId, fallback, min = Number.NEGATIVE_INFINITY, max = Number.POSITIVE_INFINITY) {
+    const value = Number(player.getDynamicProperty(propertyId))
+    const source = Number.isFinite(value) ? value : fallback
+    return Math.min(Math.max(Math.floor(source), min), max)
+}
+
 function getBooleanSetting(propertyId, fallback = false) {
     const raw = world.getDynamicProperty(propertyId)
     return typeof raw === 'boolean' ? raw : fallback
 }
 
-function normalizeTypeId(typeId) {
-    if (!typeId) return typeId
+// The group hunger multiplier stretches or shrinks the consume interval.
+function shouldConsumeFoodAt(counter, player) {
+    const multiplier = getCostMultipliers(player).hunger
+    if (multiplier <= 0) return false
 
-    return typeId
-        .replace('minecraft:lit_redstone_ore', 'minecraft:redstone_ore')
-        .replace('minecraft:lit_deepslate_redstone_ore', 'minecraft:deepslate_redstone_ore')
+    const interval = getNumberSetting('dorios:consumeInterval', DEFAULT_SETTINGS.consumeInterval, 1, 1024)
+    return counter !== 0 && counter % Math.max(1, Math.round(interval / multiplier)) === 0
 }
 
-function shouldConsumeFoodAt(counter) {
-    const interval = getNumberSetting('dorios:consumeInterval', DEFAULT_SETTINGS.consumeInterval, 1, 1024)
-    return counter !== 0 && counter % interval === 0
+// Scales a per-block cost, rounding the fraction up or down at random so the average matches.
+function scaleCost(cost, multiplier) {
+    const scaled = cost * multiplier
+    const whole = Math.floor(scaled)
+    return whole + (Math.random() < scaled - whole ? 1 : 0)
 }
 
 function shouldDelayAt(counter) {
@@ -47,23 +127,20 @@ function shouldDelayAt(counter) {
     return counter !== 0 && counter % interval === 0
 }
 
-async function handleBreakDelay(counter) {
-    if (!shouldDelayAt(counter)) return
-
-    const ticks = getNumberSetting('dorios:breakDelayTicks', DEFAULT_SETTINGS.breakDelayTicks, 0, 20)
-    if (ticks > 0) {
-        await system.waitTicks(ticks)
-    }
+function getBreakDelay(counter) {
+    if (!shouldDelayAt(counter)) return 0
+    return getNumberSetting('dorios:breakDelayTicks', DEFAULT_SETTINGS.breakDelayTicks, 0, 20)
 }
 
-function shouldBreakConnectedType(targetTypeId, brokenBlock, veinConnect, veinListSet) {
+function shouldBreakConnectedType(targetTypeId, brokenBlock, veinConnect, veinMatcher, permutation) {
     const normalizedTarget = normalizeTypeId(targetTypeId)
-    if (!normalizedTarget || blacklist.includes(normalizedTarget)) return false
+    if (!normalizedTarget || isBlacklisted(normalizedTarget, permutation)) return false
 
-    if (normalizedTarget === brokenBlock) return true
-    if (!veinConnect || !veinListSet) return false
+    // The same type still has to pass a state predicate, like `minecraft:wheat[growth=7]`.
+    if (normalizedTarget === brokenBlock) return !veinMatcher || veinMatcher.has(normalizedTarget, permutation)
+    if (!veinConnect || !veinMatcher) return false
 
-    return veinListSet.has(normalizedTarget)
+    return veinMatcher.has(normalizedTarget, permutation) && isSameConnectGroup(normalizedTarget, brokenBlock)
 }
 
 function blockKey(pos) {
@@ -90,13 +167,13 @@ function getMainhand(player) {
     }
 }
 
-function getEffectiveVeinLimit(player) {
-    const playerLimit = Number(player.getDynamicProperty('dorios:veinLimit') ?? 64)
+function getEffectiveVeinLimit(player, limit = player.getDynamicProperty('dorios:veinLimit')) {
+    const playerLimit = Number(limit ?? 64)
     const worldLimit = Number(world.getDynamicProperty('dorios:maxLimit') ?? maxLimit ?? 128)
     const safePlayerLimit = Number.isFinite(playerLimit) ? playerLimit : 64
     const safeWorldLimit = Number.isFinite(worldLimit) && worldLimit > 0 ? worldLimit : safePlayerLimit
 
-    return Math.max(1, Math.floor(Math.min(safePlayerLimit, safeWorldLimit)))
+    return Math.max(1, Math.floor(Math.min(safePlayerLimit, getGroupLimit(player, safeWorldLimit))))
 }
 
 function parseVeinList(player) {
@@ -116,7 +193,156 @@ function parseVeinList(player) {
     }
 }
 
-function getVeinSettings(player) {
+/**
+ * Resolves the player's tunnel dimensions, capped by the admin limits.
+ * `below` is how many rows of the tunnel sit under the broken block.
+ * @param {Player} player
+ * @returns {{width: number, height: number, length: number, below: number}}
+ */
+export function getTunnelSettings(player) {
+    const maxWidth = Math.floor(getNumberSetting('dorios:maxTunnelWidth', DEFAULT_SETTINGS.maxTunnelWidth, 1, 32))
+    const maxHeight = Math.floor(getNumberSetting('dorios:maxTunnelHeight', DEFAULT_SETTINGS.maxTunnelHeight, 1, 32))
+    const maxLength = Math.floor(getNumberSetting('dorios:maxTunnelLength', DEFAULT_SETTINGS.maxTunnelLength, 1, 256))
+
+    const width = getPlayerNumber(player, 'dorios:tunnelWidth', DEFAULT_TUNNEL.width, 1, maxWidth)
+    const height = getPlayerNumber(player, 'dorios:tunnelHeight', DEFAULT_TUNNEL.height, 1, maxHeight)
+    const length = getPlayerNumber(player, 'dorios:tunnelLength', DEFAULT_TUNNEL.length, 1, maxLength)
+    const below = getPlayerNumber(player, 'dorios:tunnelBelow', Math.floor((height - 1) / 2), 0, height - 1)
+
+    return { width, height, length, below }
+}
+
+/**
+ * Resolves the player's staircase size. Width and length share the tunnel caps,
+ * height is either 3 or 4 blocks of headroom. Climbing a step needs the
+ * player's height plus the jump, so 3 is the least that can be walked.
+ * @param {Player} player
+ * @returns {{width: number, height: number, length: number}}
+ */
+export function getStaircaseSettings(player) {
+    const maxWidth = Math.floor(getNumberSetting('dorios:maxTunnelWidth', DEFAULT_SETTINGS.maxTunnelWidth, 1, 32))
+    const maxLength = Math.floor(getNumberSetting('dorios:maxTunnelLength', DEFAULT_SETTINGS.maxTunnelLength, 1, 256))
+
+    return {
+        width: getPlayerNumber(player, 'dorios:stairWidth', DEFAULT_STAIRCASE.width, 1, maxWidth),
+        height: getPlayerNumber(player, 'dorios:stairHeight', DEFAULT_STAIRCASE.height, 3, 4),
+        length: getPlayerNumber(player, 'dorios:stairLength', DEFAULT_STAIRCASE.length, 1, maxLength),
+    }
+}
+
+/**
+ * Resolves the player's layer area. Width and length share the tunnel width and
+ * length caps, depth shares the tunnel height cap.
+ * @param {Player} player
+ * @returns {{width: number, length: number, depth: number, forward: boolean, anyBlock: boolean}}
+ */
+export function getLayerSettings(player) {
+    const maxWidth = Math.floor(getNumberSetting('dorios:maxTunnelWidth', DEFAULT_SETTINGS.maxTunnelWidth, 1, 32))
+    const maxHeight = Math.floor(getNumberSetting('dorios:maxTunnelHeight', DEFAULT_SETTINGS.maxTunnelHeight, 1, 32))
+    const maxLength = Math.floor(getNumberSetting('dorios:maxTunnelLength', DEFAULT_SETTINGS.maxTunnelLength, 1, 256))
+    const forward = player.getDynamicProperty('dorios:layerForward')
+    const anyBlock = player.getDynamicProperty('dorios:layerAnyBlock')
+
+    return {
+        width: getPlayerNumber(player, 'dorios:layerWidth', DEFAULT_LAYER.width, 1, maxWidth),
+        length: getPlayerNumber(player, 'dorios:layerLength', DEFAULT_LAYER.length, 1, maxLength),
+        depth: getPlayerNumber(player, 'dorios:layerDepth', DEFAULT_LAYER.depth, 1, maxHeight),
+        forward: typeof forward === 'boolean' ? forward : DEFAULT_LAYER.forward,
+        anyBlock: typeof anyBlock === 'boolean' ? anyBlock : DEFAULT_LAYER.anyBlock,
+    }
+}
+
+/**
+ * @param {Player} player
+ * @returns {number} The player's sphere/cube radius, capped by the admin limit.
+ */
+export function getShapeRadius(player) {
+    const maxRadius = Math.floor(getNumberSetting('dorios:maxRadius', DEFAULT_SETTINGS.maxRadius, 1, 16))
+    return getPlayerNumber(player, 'dorios:shapeRadius', DEFAULT_SETTINGS.radius, 1, maxRadius)
+}
+
+/**
+ * Resolves the player's branch mining layout. Both tunnel lengths share the
+ * tunnel length cap.
+ * @param {Player} player
+ * @returns {{length: number, sideLength: number, spacing: number, veinOres: boolean}}
+ */
+export function getBranchSettings(player) {
+    const maxLength = Math.floor(getNumberSetting('dorios:maxTunnelLength', DEFAULT_SETTINGS.maxTunnelLength, 1, 256))
+    const veinOres = player.getDynamicProperty('dorios:branchVeinOres')
+
+    return {
+        length: getPlayerNumber(player, 'dorios:branchLength', DEFAULT_BRANCH.length, 1, maxLength),
+        sideLength: getPlayerNumber(player, 'dorios:branchSideLength', DEFAULT_BRANCH.sideLength, 1, maxLength),
+        spacing: getPlayerNumber(player, 'dorios:branchSpacing', DEFAULT_BRANCH.spacing, 2, 16),
+        veinOres: typeof veinOres === 'boolean' ? veinOres : DEFAULT_BRANCH.veinOres,
+    }
+}
+
+/**
+ * Shapes that follow connected blocks and let players pick how many
+ * neighbours count as connected.
+ */
+export const connectivityShapes = ['shapelessVein', 'treeCapitator', 'veinMiner', 'branchMine', 'harvest']
+
+// Faces only, faces + edges, faces + edges + corners.
+export const connectivityValues = [6, 18, 26]
+const DEFAULT_CONNECTIVITY = 26
+
+/**
+ * @param {Player} player
+ * @returns {Record<string, number>} Neighbour count of every connectivity shape.
+ */
+export function getConnectivitySettings(player) {
+    let stored = {}
+    try {
+        stored = JSON.parse(player.getDynamicProperty('dorios:veinConnectivity') ?? '{}') ?? {}
+    } catch { }
+
+    const settings = {}
+    for (const shape of connectivityShapes) {
+        settings[shape] = connectivityValues.includes(stored[shape]) ? stored[shape] : DEFAULT_CONNECTIVITY
+    }
+    return settings
+}
+
+/**
+ * @param {Player} player
+ * @param {string} shape
+ * @param {number} connectivity 6, 18 or 26.
+ */
+export function setShapeConnectivity(player, shape, connectivity) {
+    const settings = getConnectivitySettings(player)
+    settings[shape] = connectivity
+    player.setDynamicProperty('dorios:veinConnectivity', JSON.stringify(settings))
+}
+
+/**
+ * @param {number} connectivity
+ * @returns {Array<{x: number, y: number, z: number}>} Neighbour offsets, faces first.
+ */
+function getNeighbourDirs(connectivity) {
+    return dirs.slice(0, connectivityValues.includes(connectivity) ? connectivity : DEFAULT_CONNECTIVITY)
+}
+
+function migrateLegacyTunnelShape(player, veinShape) {
+    const preset = LEGACY_TUNNEL_SHAPES[veinShape]
+    if (!preset) return veinShape
+
+    player.setDynamicProperty('dorios:tunnelWidth', preset.width)
+    player.setDynamicProperty('dorios:tunnelHeight', preset.height)
+    player.setDynamicProperty('dorios:tunnelBelow', preset.below)
+    player.setDynamicProperty('dorios:veinShape', 'tunnel')
+    return 'tunnel'
+}
+
+/**
+ * Resolves the settings used for a break. A tool profile matching the held
+ * item overrides the shape, the limit and Vein Connect.
+ * @param {Player} player
+ * @param {ItemStack} [item] Held item, the current mainhand by default.
+ */
+function getVeinSettings(player, item = getMainhand(player)) {
     let isEnabled = player.getDynamicProperty('dorios:veinEnabled')
     let veinShape = player.getDynamicProperty('dorios:veinShape')
     let veinConnect = player.getDynamicProperty('dorios:veinConnect')
@@ -131,6 +357,8 @@ function getVeinSettings(player) {
         veinShape = 'shapelessVein'
     }
 
+    veinShape = migrateLegacyTunnelShape(player, veinShape)
+
     if (player.getDynamicProperty('dorios:veinLimit') == undefined) {
         player.setDynamicProperty('dorios:veinLimit', 64)
     }
@@ -143,15 +371,30 @@ function getVeinSettings(player) {
         veinConnect = defaultConnect
     }
 
+    let veinLimit = getEffectiveVeinLimit(player)
+    const profile = resolveToolProfile(player, item)
+    if (profile) {
+        if (profile.shape in veinHandler) veinShape = profile.shape
+        veinLimit = getEffectiveVeinLimit(player, profile.limit)
+        veinConnect = profile.connect
+    }
+
     const normalizedVeinList = veinList.map(typeId => normalizeTypeId(typeId))
 
     return {
         isEnabled: !!isEnabled,
         veinShape,
-        veinLimit: getEffectiveVeinLimit(player),
+        veinLimit,
         veinList,
-        veinListSet: new Set(normalizedVeinList),
+        veinMatcher: getBlockMatcher(normalizedVeinList),
         veinConnect: !!veinConnect,
+        tunnel: getTunnelSettings(player),
+        staircase: getStaircaseSettings(player),
+        layer: getLayerSettings(player),
+        radius: getShapeRadius(player),
+        branch: getBranchSettings(player),
+        connectivity: getConnectivitySettings(player)[veinShape] ?? DEFAULT_CONNECTIVITY,
+        autoReplant: !!player.getDynamicProperty('dorios:autoReplant'),
     }
 }
 
@@ -160,8 +403,95 @@ function removeBlacklistedFromPlayerList(player, veinList, typeId) {
     player.setDynamicProperty('dorios:veinList', JSON.stringify(nextList))
 }
 
-function isTreeBlock(typeId) {
-    return ['_log', '_leaves', '_stem', '_wart_block'].some(p => typeId.endsWith(p))
+const FACE_DIRS = [
+    { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 },
+    { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 },
+    { x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: -1 },
+]
+
+const HUGE_MUSHROOM_BLOCKS = [
+    'minecraft:brown_mushroom_block',
+    'minecraft:red_mushroom_block',
+    'minecraft:mushroom_stem',
+]
+
+const MANGROVE_TRUNK_BLOCKS = [
+    'minecraft:mangrove_log',
+    'minecraft:mangrove_wood',
+    'minecraft:mangrove_roots',
+    'minecraft:muddy_mangrove_roots',
+]
+
+const MANGROVE_ROOTS = ['minecraft:mangrove_roots', 'minecraft:muddy_mangrove_roots']
+
+// How many blocks leaves may be away from the logs of the felled tree.
+const TREE_LEAF_REACH = 5
+
+/**
+ * Trunk block types the Tree Capitator follows from the broken block,
+ * or null if the broken block is not a trunk.
+ * @param {string} typeId
+ * @returns {Set<string>|null}
+ */
+function getTreeTrunkTypes(typeId) {
+    if (HUGE_MUSHROOM_BLOCKS.includes(typeId)) return new Set(HUGE_MUSHROOM_BLOCKS)
+    if (MANGROVE_TRUNK_BLOCKS.includes(typeId)) return new Set(MANGROVE_TRUNK_BLOCKS)
+    if (typeId.endsWith('_log')) return new Set([typeId, typeId.replace(/_log$/, '_wood')])
+    if (typeId.endsWith('_stem')) return new Set([typeId, typeId.replace(/_stem$/, '_hyphae')])
+    return null
+}
+
+function isLogLike(typeId) {
+    return ['_log', '_wood', '_stem', '_hyphae'].some(p => typeId.endsWith(p)) ||
+        MANGROVE_ROOTS.includes(typeId) ||
+        HUGE_MUSHROOM_BLOCKS.includes(typeId)
+}
+
+function isNaturalLeafBlock(block) {
+    const typeId = block.typeId
+    if (typeId.endsWith('_leaves')) {
+        return block.permutation.getState('persistent_bit') !== true
+    }
+
+    return typeId.endsWith('_wart_block') || typeId === 'minecraft:shroomlight'
+}
+
+function getTreeMaxSpread() {
+    return Math.floor(getNumberSetting('dorios:treeMaxSpread', DEFAULT_SETTINGS.treeMaxSpread, 1, 32))
+}
+
+const ORE_EXPERIENCE = {
+    'minecraft:coal_ore': [0, 2],
+    'minecraft:deepslate_coal_ore': [0, 2],
+    'minecraft:diamond_ore': [3, 7],
+    'minecraft:deepslate_diamond_ore': [3, 7],
+    'minecraft:emerald_ore': [3, 7],
+    'minecraft:deepslate_emerald_ore': [3, 7],
+    'minecraft:lapis_ore': [2, 5],
+    'minecraft:deepslate_lapis_ore': [2, 5],
+    'minecraft:redstone_ore': [1, 5],
+    'minecraft:deepslate_redstone_ore': [1, 5],
+    'minecraft:quartz_ore': [2, 5],
+    'minecraft:nether_gold_ore': [0, 1],
+}
+
+// Mending restores 2 durability points per experience point, like vanilla.
+const MENDING_DURABILITY_PER_XP = 2
+
+function getEnchantmentLevel(item, enchantmentId) {
+    try {
+        return item?.getComponent('enchantable')?.getEnchantment(enchantmentId)?.level ?? 0
+    } catch {
+        return 0
+    }
+}
+
+function rollOreExperience(typeId, item) {
+    const range = ORE_EXPERIENCE[normalizeTypeId(typeId)]
+    if (!range || getEnchantmentLevel(item, 'silk_touch') > 0) return 0
+
+    const [min, max] = range
+    return min + Math.floor(Math.random() * (max - min + 1))
 }
 
 function isOreBlock(typeId) {
@@ -195,29 +525,45 @@ function offsetByAxis(origin, axis, stepSign, distance) {
     return pos
 }
 
-function getTunnelSlicePosition(center, axis, dx, dy) {
+// `lateral` runs sideways across the tunnel and `vertical` up; on the y axis
+// the slice is horizontal and `vertical` maps to z.
+function getTunnelSlicePosition(center, axis, lateral, vertical) {
     const pos = { ...center }
-    if (axis === 'x') { pos.y += dx; pos.z += dy }
-    if (axis === 'y') { pos.x += dx; pos.z += dy }
-    if (axis === 'z') { pos.x += dx; pos.y += dy }
+    if (axis === 'x') { pos.z += lateral; pos.y += vertical }
+    if (axis === 'y') { pos.x += lateral; pos.z += vertical }
+    if (axis === 'z') { pos.x += lateral; pos.y += vertical }
     return pos
 }
 
-function spiralOffsets(outward = true) {
-    const orderOut = [
-        [0, 0], [1, 0], [1, 1], [0, 1], [-1, 1],
-        [-1, 0], [-1, -1], [0, -1], [1, -1]
-    ]
-    return outward ? orderOut : orderOut.slice().reverse()
+/**
+ * @returns {boolean} True if the block is player-placed (and the ledger is on)
+ * or inside a region that denies excavation.
+ */
+function isProtectedPosition(dim, pos) {
+    return isPlacedBlockProtected(dim, pos) || isRegionDenied(dim.id, pos)
+}
+
+/**
+ * Applies the region rules at the broken block.
+ * @returns {number|null} The limit capped by the regions, or null if the
+ *   regions deny excavation there or do not allow the shape.
+ */
+function getRegionVeinLimit(block, veinShape, veinLimit) {
+    const rules = getRegionRules(block.dimension.id, block.location)
+    if (!rules.allow) return null
+    if (rules.shapes && !rules.shapes.has(veinShape)) return null
+
+    return Math.min(veinLimit, rules.maxLimit)
 }
 
 function getMatchingBlock(dim, pos, brokenBlock, matchType = true) {
     try {
         const b = dim.getBlock(pos)
         if (isAirBlock(b)) return null
+        if (isProtectedPosition(dim, pos)) return null
 
         const normalized = normalizeTypeId(b.typeId)
-        if (blacklist.includes(normalized)) return null
+        if (isBlacklisted(normalized, b.permutation)) return null
         if (matchType && normalized !== brokenBlock) return null
 
         return b
@@ -226,8 +572,32 @@ function getMatchingBlock(dim, pos, brokenBlock, matchType = true) {
     }
 }
 
+function isStorageBlock(block) {
+    if (STORAGE_BLOCK_TYPES.has(block.typeId)) return true
+    return STORAGE_BLOCK_COMPONENTS.some(component => block.getComponent(component))
+}
+
+/**
+ * Like `getMatchingBlock` without the type check: accepts any block the item
+ * can dig, skipping air, liquids, player-placed, blacklisted and storage
+ * blocks, so area shapes never empty a chest or furnace.
+ */
+function getDiggableBlock(dim, pos, item) {
+    try {
+        const b = dim.getBlock(pos)
+        if (isAirBlock(b) || b.isLiquid || isStorageBlock(b)) return null
+        if (isProtectedPosition(dim, pos)) return null
+        if (isBlacklisted(normalizeTypeId(b.typeId), b.permutation)) return null
+        if (!is_diggable(item, b)) return null
+
+        return b
+    } catch {
+        return null
+    }
+}
+
 function canPreviewConsumeAt(player, counter, spent) {
-    if (!shouldConsumeFoodAt(counter) || world.getDynamicProperty('dorios:noConsumeSaturation')) return true
+    if (!shouldConsumeFoodAt(counter, player) || world.getDynamicProperty('dorios:noConsumeSaturation')) return true
 
     const minusHunger = Math.floor(getNumberSetting('dorios:hungerCost', DEFAULT_SETTINGS.hungerCost, 0, 20))
     const minusSaturation = Math.floor(getNumberSetting('dorios:saturationCost', DEFAULT_SETTINGS.saturationCost, 0, 20))
@@ -259,15 +629,19 @@ function itemStillMatches(player, item) {
     return currentMainhand?.typeId === item.typeId
 }
 
+// `options.visited`, `options.spent` and `options.startCount` let a caller run
+// several fills that share one budget (see branch mining).
 function calculateFloodfillBlocks(player, block, brokenBlock, maxVein, item, options, predicate) {
     const result = []
-    const visited = new Set()
-    const toCheck = [block.location]
+    const visited = options.visited ?? new Set()
+    const originPos = block.location
+    const toCheck = [originPos]
     const dim = world.getDimension(player.dimension.id)
     const veinConnect = !!options.veinConnect
-    const veinListSet = options.veinListSet instanceof Set ? options.veinListSet : null
-    const spent = { hunger: 0, saturation: 0 }
-    let cont = 0
+    const veinMatcher = options.veinMatcher ?? null
+    const spent = options.spent ?? { hunger: 0, saturation: 0 }
+    const neighbours = getNeighbourDirs(options.connectivity)
+    let cont = options.startCount ?? 0
 
     while (toCheck.length > 0 && cont < maxVein) {
         if (!itemStillMatches(player, item)) break
@@ -280,8 +654,10 @@ function calculateFloodfillBlocks(player, block, brokenBlock, maxVein, item, opt
         let targetBlock
         try { targetBlock = dim.getBlock(pos) } catch { }
 
-        const isOrigin = visited.size === 1
-        const matches = targetBlock && predicate(targetBlock.typeId, brokenBlock, veinConnect, veinListSet)
+        const isOrigin = pos === originPos
+        const matches = targetBlock &&
+            !isProtectedPosition(dim, pos) &&
+            predicate(targetBlock.typeId, brokenBlock, veinConnect, veinMatcher, targetBlock.permutation)
 
         if (isOrigin || matches) {
             if (!canPreviewConsumeAt(player, cont, spent)) break
@@ -289,7 +665,7 @@ function calculateFloodfillBlocks(player, block, brokenBlock, maxVein, item, opt
             cont++
             if (targetBlock && !isAirBlock(targetBlock)) result.push(targetBlock)
 
-            for (const d of dirs) {
+            for (const d of neighbours) {
                 toCheck.push({ x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z })
             }
         }
@@ -306,20 +682,108 @@ export function calculateVeinBlocks(player, block, brokenBlock, maxVein = 64, it
         maxVein,
         item,
         options,
-        (typeId, originTypeId, veinConnect, veinListSet) => shouldBreakConnectedType(typeId, originTypeId, veinConnect, veinListSet)
+        (typeId, originTypeId, veinConnect, veinMatcher, permutation) => shouldBreakConnectedType(typeId, originTypeId, veinConnect, veinMatcher, permutation)
     )
 }
 
+/**
+ * Tree Capitator.
+ *
+ * Climbs the trunk from the broken block: logs of the same tree (including
+ * wood, 2x2 trunks and branches) are followed in every direction except
+ * downwards, where only mangrove roots are taken. Logs never go further than
+ * the admin horizontal spread from the broken block. Leaves are taken last and
+ * only when they hang from logs already taken, are not player-placed
+ * (`persistent_bit`) and do not touch a log of another tree.
+ */
 export function calculateTreeBlocks(player, block, brokenBlock, maxVein = 128, item, options = {}) {
-    return calculateFloodfillBlocks(
-        player,
-        block,
-        brokenBlock,
-        maxVein,
-        item,
-        options,
-        typeId => isTreeBlock(typeId)
-    )
+    const result = []
+    const trunkTypes = getTreeTrunkTypes(brokenBlock)
+    if (!trunkTypes) return result
+
+    const dim = world.getDimension(player.dimension.id)
+    const origin = block.location
+    const spread = getTreeMaxSpread()
+    const spent = { hunger: 0, saturation: 0 }
+    const visited = new Set([blockKey(origin)])
+    const logKeys = new Set([blockKey(origin)])
+    const logs = [origin]
+    const neighbours = getNeighbourDirs(options.connectivity)
+    let cont = 0
+
+    const take = blk => {
+        if (cont >= maxVein || !itemStillMatches(player, item)) return false
+        if (!canPreviewConsumeAt(player, cont, spent)) return false
+
+        cont++
+        result.push(blk)
+        return true
+    }
+
+    if (!isAirBlock(block) && !take(block)) return result
+
+    for (let i = 0; i < logs.length; i++) {
+        const pos = logs[i]
+
+        for (const d of neighbours) {
+            const next = { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z }
+            const key = blockKey(next)
+            if (visited.has(key)) continue
+            if (Math.abs(next.x - origin.x) > spread || Math.abs(next.z - origin.z) > spread) continue
+
+            let blk
+            try { blk = dim.getBlock(next) } catch { }
+            if (!blk || isAirBlock(blk)) continue
+
+            const typeId = normalizeTypeId(blk.typeId)
+            if (!trunkTypes.has(typeId)) continue
+            if (next.y < origin.y && !MANGROVE_ROOTS.includes(typeId)) continue
+            if (isBlacklisted(typeId, blk.permutation) || isProtectedPosition(dim, next)) continue
+
+            visited.add(key)
+            if (!take(blk)) return result
+
+            logKeys.add(key)
+            logs.push(next)
+        }
+    }
+
+    const touchesForeignLog = pos => FACE_DIRS.some(d => {
+        const next = { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z }
+        if (logKeys.has(blockKey(next))) return false
+
+        try {
+            const blk = dim.getBlock(next)
+            return !!blk && isLogLike(blk.typeId)
+        } catch {
+            return false
+        }
+    })
+
+    const leaves = logs.map(pos => ({ pos, distance: 0 }))
+    for (let i = 0; i < leaves.length; i++) {
+        const { pos, distance } = leaves[i]
+        if (distance >= TREE_LEAF_REACH) continue
+
+        for (const d of FACE_DIRS) {
+            const next = { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z }
+            const key = blockKey(next)
+            if (visited.has(key)) continue
+
+            let blk
+            try { blk = dim.getBlock(next) } catch { }
+            if (!blk || isAirBlock(blk) || !isNaturalLeafBlock(blk)) continue
+            if (isBlacklisted(blk.typeId, blk.permutation) || isProtectedPosition(dim, next)) continue
+
+            visited.add(key)
+            if (touchesForeignLog(next)) continue
+            if (!take(blk)) return result
+
+            leaves.push({ pos: next, distance: distance + 1 })
+        }
+    }
+
+    return result
 }
 
 export function calculateOreBlocks(player, block, brokenBlock, maxVein = 64, item, options = {}) {
@@ -334,113 +798,337 @@ export function calculateOreBlocks(player, block, brokenBlock, maxVein = 64, ite
     )
 }
 
-export function calculateLargeTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item) {
+/**
+ * Cross-section offsets of a tunnel, sorted center-first so the run keeps
+ * the middle of the tunnel when the budget runs out.
+ * @param {{width: number, height: number, below: number}} tunnel
+ */
+function getTunnelSliceOffsets(tunnel) {
+    const offsets = []
+    const left = Math.floor((tunnel.width - 1) / 2)
+
+    for (let lateral = -left; lateral < tunnel.width - left; lateral++) {
+        for (let vertical = -tunnel.below; vertical < tunnel.height - tunnel.below; vertical++) {
+            offsets.push([lateral, vertical])
+        }
+    }
+
+    return offsets.sort((a, b) => (Math.abs(a[0]) + Math.abs(a[1])) - (Math.abs(b[0]) + Math.abs(b[1])))
+}
+
+export function calculateTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
     const result = []
-    const maxLength = Math.floor(maxVein / 4)
-    const maxBlocks = maxVein * 2
+    const tunnel = options.tunnel ?? getTunnelSettings(player)
     const dim = world.getDimension(player.dimension.id)
     const origin = brokenBlock.location
     const { axis, stepSign } = getAxisFromView(player, true)
+    const offsets = getTunnelSliceOffsets(tunnel)
     const spent = { hunger: 0, saturation: 0 }
+    let cont = 0
 
-    let broken = 0
-    let outward = true
-    let sliceStart = 0
+    for (let d = 0; d < tunnel.length; d++) {
+        const sliceCenter = offsetByAxis(origin, axis, stepSign, d)
 
-    {
-        const sliceCenter = { ...origin }
-        const order = spiralOffsets(outward)
-        let hasSolid = false
+        for (const [lateral, vertical] of offsets) {
+            if (!itemStillMatches(player, item)) return result
 
-        for (const [dx, dy] of order) {
-            const pos = getTunnelSlicePosition(sliceCenter, axis, dx, dy)
-            if (getMatchingBlock(dim, pos, brokenBlockPerm, true)) {
-                hasSolid = true
-                break
-            }
-        }
+            const pos = getTunnelSlicePosition(sliceCenter, axis, lateral, vertical)
+            const blk = getMatchingBlock(dim, pos, brokenBlockPerm, true)
+            if (!blk) continue
+            if (!canPreviewConsumeAt(player, cont, spent)) return result
 
-        if (!hasSolid) sliceStart = 1
+            cont++
+            result.push(blk)
+            if (cont >= maxVein) return result
+        }
     }
 
+    return result
+}
+
+/**
+ * Digs a staircase along the horizontal view axis. Looking down makes each step
+ * one block lower, looking up one block higher. Every step clears `height`
+ * blocks of headroom starting at the step floor.
+ */
+export function calculateStaircaseBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+    const result = []
+    const staircase = options.staircase ?? getStaircaseSettings(player)
+    const dim = world.getDimension(player.dimension.id)
+    const origin = brokenBlock.location
+    const { axis, stepSign } = getAxisFromView(player, false)
+    const verticalSign = player.getViewDirection().y >= 0 ? 1 : -1
+    const offsets = getTunnelSliceOffsets({ width: staircase.width, height: staircase.height, below: 0 })
+    const spent = { hunger: 0, saturation: 0 }
     let cont = 0
-    for (let d = sliceStart; d <= maxLength; d++) {
-        const sliceCenter = offsetByAxis(origin, axis, stepSign, d)
-        let foundInSlice = false
-        const order = spiralOffsets(outward)
 
-        for (const [dx, dy] of order) {
-            if (!itemStillMatches(player, item)) break
+    for (let step = 0; step < staircase.length; step++) {
+        const stepCenter = offsetByAxis(origin, axis, stepSign, step)
+        stepCenter.y += step * verticalSign
 
-            const pos = getTunnelSlicePosition(sliceCenter, axis, dx, dy)
-            const blk = getMatchingBlock(dim, pos, brokenBlockPerm, true)
+        for (const [lateral, vertical] of offsets) {
+            if (!itemStillMatches(player, item)) return result
+
+            const pos = getTunnelSlicePosition(stepCenter, axis, lateral, vertical)
+            const blk = getDiggableBlock(dim, pos, item)
             if (!blk) continue
             if (!canPreviewConsumeAt(player, cont, spent)) return result
 
             cont++
             result.push(blk)
-            broken++
-            foundInSlice = true
-            if (broken + 1 >= maxBlocks) return result
+            if (cont >= maxVein) return result
         }
-
-        if (!foundInSlice) break
-        outward = !outward
     }
 
     return result
 }
 
-export function calculateSmallTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item) {
+/**
+ * Clears a flat horizontal area, either centered on the broken block or
+ * extending forward from it along the horizontal view axis, then repeats
+ * it on the layers below. Each layer is taken nearest-first.
+ */
+export function calculateLayerBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
     const result = []
-    const maxLength = Math.floor(maxVein / 2)
+    const layer = options.layer ?? getLayerSettings(player)
     const dim = world.getDimension(player.dimension.id)
     const origin = brokenBlock.location
-    const { axis, stepSign } = getAxisFromView(player, true)
+    const { axis, stepSign } = getAxisFromView(player, false)
     const spent = { hunger: 0, saturation: 0 }
-    const offsets = [
-        { dx: 0, dy: 0, dz: 0 },
-        { dx: 0, dy: 1, dz: 0 }
-    ]
-
+    const left = Math.floor((layer.width - 1) / 2)
+    const back = layer.forward ? 0 : Math.floor((layer.length - 1) / 2)
+    const offsets = []
     let cont = 0
-    for (let d = 0; d < maxLength; d++) {
-        const base = offsetByAxis(origin, axis, stepSign, d)
 
-        for (const { dx, dy, dz } of offsets) {
+    for (let forward = -back; forward < layer.length - back; forward++) {
+        for (let lateral = -left; lateral < layer.width - left; lateral++) {
+            offsets.push([forward, lateral])
+        }
+    }
+    offsets.sort((a, b) => (Math.abs(a[0]) + Math.abs(a[1])) - (Math.abs(b[0]) + Math.abs(b[1])))
+
+    for (let depth = 0; depth < layer.depth; depth++) {
+        const layerCenter = { ...origin, y: origin.y - depth }
+
+        for (const [forward, lateral] of offsets) {
             if (!itemStillMatches(player, item)) return result
 
-            const pos = { x: base.x + dx, y: base.y + dy, z: base.z + dz }
-            const blk = getMatchingBlock(dim, pos, brokenBlockPerm, true)
-            if (!blk) continue
+            const pos = getTunnelSlicePosition(offsetByAxis(layerCenter, axis, stepSign, forward), axis, lateral, 0)
+            const blk = layer.anyBlock
+                ? getDiggableBlock(dim, pos, item)
+                : getMatchingBlock(dim, pos, brokenBlockPerm, true)
+            if (!blk || !is_diggable(item, blk)) continue
             if (!canPreviewConsumeAt(player, cont, spent)) return result
 
             cont++
             result.push(blk)
+            if (cont >= maxVein) return result
         }
     }
 
     return result
 }
 
-export function calculateLineTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item) {
+const radiusOffsetsCache = new Map()
+
+/**
+ * Offsets inside a sphere or cube of the given radius, nearest-first so a run
+ * cut short by the vein limit or the food budget keeps the closest blocks.
+ * @param {'sphere'|'cube'} shape
+ * @param {number} radius
+ */
+function getRadiusOffsets(shape, radius) {
+    const key = `${shape}:${radius}`
+    if (radiusOffsetsCache.has(key)) return radiusOffsetsCache.get(key)
+
+    const offsets = []
+    const sphereLimit = (radius + 0.5) ** 2
+
+    for (let x = -radius; x <= radius; x++) {
+        for (let y = -radius; y <= radius; y++) {
+            for (let z = -radius; z <= radius; z++) {
+                const distance = x * x + y * y + z * z
+                if (shape === 'sphere' && distance > sphereLimit) continue
+                offsets.push({ x, y, z, distance })
+            }
+        }
+    }
+
+    offsets.sort((a, b) => a.distance - b.distance)
+    radiusOffsetsCache.set(key, offsets)
+    return offsets
+}
+
+function calculateRadiusBlocks(shape, player, brokenBlock, maxVein, item, options) {
     const result = []
+    const radius = options.radius ?? getShapeRadius(player)
     const dim = world.getDimension(player.dimension.id)
     const origin = brokenBlock.location
-    const { axis, stepSign } = getAxisFromView(player, true)
     const spent = { hunger: 0, saturation: 0 }
     let cont = 0
 
-    for (let d = 0; d < maxVein; d++) {
+    for (const offset of getRadiusOffsets(shape, radius)) {
         if (!itemStillMatches(player, item)) break
 
-        const pos = offsetByAxis(origin, axis, stepSign, d)
-        const blk = getMatchingBlock(dim, pos, brokenBlockPerm, true)
+        const pos = { x: origin.x + offset.x, y: origin.y + offset.y, z: origin.z + offset.z }
+        const blk = getDiggableBlock(dim, pos, item)
         if (!blk) continue
         if (!canPreviewConsumeAt(player, cont, spent)) break
 
         cont++
         result.push(blk)
+        if (cont >= maxVein) break
+    }
+
+    return result
+}
+
+export function calculateSphereBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+    return calculateRadiusBlocks('sphere', player, brokenBlock, maxVein, item, options)
+}
+
+export function calculateCubeBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+    return calculateRadiusBlocks('cube', player, brokenBlock, maxVein, item, options)
+}
+
+/**
+ * Strip/branch mining: a 1x2 main tunnel along the horizontal view axis with
+ * 1x2 side branches on both sides every `spacing` blocks. With Vein Connect on
+ * (and the branch option enabled) listed ores exposed in the walls are
+ * vein-mined too, sharing the same block and food budget.
+ */
+export function calculateBranchMineBlocks(player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+    const result = []
+    const branch = options.branch ?? getBranchSettings(player)
+    const dim = world.getDimension(player.dimension.id)
+    const origin = brokenBlock.location
+    const { axis, stepSign } = getAxisFromView(player, false)
+    const spent = { hunger: 0, saturation: 0 }
+    const dug = new Set([blockKey(origin)])
+    const walls = [origin]
+    let cont = 0
+
+    const dig = pos => {
+        if (cont >= maxVein || !itemStillMatches(player, item)) return false
+
+        const key = blockKey(pos)
+        if (dug.has(key)) return true
+        dug.add(key)
+        walls.push(pos)
+
+        const blk = getDiggableBlock(dim, pos, item)
+        if (!blk) return true
+        if (!canPreviewConsumeAt(player, cont, spent)) return false
+
+        cont++
+        result.push(blk)
+        return true
+    }
+
+    mining:
+    for (let d = 0; d < branch.length; d++) {
+        const center = offsetByAxis(origin, axis, stepSign, d)
+
+        for (let vertical = 0; vertical < 2; vertical++) {
+            if (!dig(getTunnelSlicePosition(center, axis, 0, vertical))) break mining
+        }
+
+        if (d === 0 || d % branch.spacing !== 0) continue
+
+        for (let k = 1; k <= branch.sideLength; k++) {
+            for (const side of [1, -1]) {
+                for (let vertical = 0; vertical < 2; vertical++) {
+                    if (!dig(getTunnelSlicePosition(center, axis, side * k, vertical))) break mining
+                }
+            }
+        }
+    }
+
+    if (!options.veinConnect || !branch.veinOres || !options.veinMatcher) return result
+
+    const visited = new Set(dug)
+    for (const pos of walls) {
+        for (const d of FACE_DIRS) {
+            if (cont >= maxVein) return result
+
+            const wallPos = { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z }
+            if (visited.has(blockKey(wallPos))) continue
+
+            let wallBlock
+            try { wallBlock = dim.getBlock(wallPos) } catch { }
+            if (!wallBlock || isAirBlock(wallBlock)) continue
+            if (isProtectedPosition(dim, wallPos)) continue
+
+            const typeId = normalizeTypeId(wallBlock.typeId)
+            const wallPermutation = wallBlock.permutation
+            if (!options.veinMatcher.has(typeId, wallPermutation) || isBlacklisted(typeId, wallPermutation)) continue
+            if (!is_diggable(item, wallBlock)) continue
+
+            const vein = calculateFloodfillBlocks(player, wallBlock, typeId, maxVein, item, {
+                ...options,
+                visited,
+                spent,
+                startCount: cont,
+            }, shouldBreakConnectedType)
+
+            cont += vein.length
+            result.push(...vein)
+        }
+    }
+
+    return result
+}
+
+// Crops of one field scanned by the Harvest shape, mature or not.
+const HARVEST_SCAN_LIMIT = 4096
+
+/**
+ * Harvest.
+ *
+ * Flood-fills across connected crops of the broken crop's type. Immature
+ * crops are walked through but never taken nor counted against the limit, so
+ * a field that is still growing does not split the harvest. Farms are planted
+ * by players, so the placed-block ledger is not checked here.
+ */
+export function calculateHarvestBlocks(player, block, brokenBlock, maxVein = 64, item, options = {}) {
+    const result = []
+    if (!isHarvestCrop(brokenBlock)) return result
+
+    const dim = world.getDimension(player.dimension.id)
+    const origin = block.location
+    const visited = new Set([blockKey(origin)])
+    const toCheck = [origin]
+    const spent = { hunger: 0, saturation: 0 }
+    const neighbours = getNeighbourDirs(options.connectivity)
+    let cont = 0
+
+    // Only the preview still sees the origin, the player already broke it otherwise.
+    if (isMatureCrop(block)) {
+        cont++
+        result.push(block)
+    }
+
+    while (toCheck.length > 0 && visited.size < HARVEST_SCAN_LIMIT) {
+        const pos = toCheck.shift()
+
+        for (const d of neighbours) {
+            const next = { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z }
+            const key = blockKey(next)
+            if (visited.has(key)) continue
+            visited.add(key)
+
+            let crop
+            try { crop = dim.getBlock(next) } catch { }
+            if (crop?.typeId !== brokenBlock || isRegionDenied(dim.id, next)) continue
+
+            toCheck.push(next)
+            if (!isMatureCrop(crop)) continue
+            if (!canPreviewConsumeAt(player, cont, spent)) return result
+
+            cont++
+            result.push(crop)
+            if (cont >= maxVein) return result
+        }
     }
 
     return result
@@ -450,9 +1138,13 @@ const blockCalculators = {
     shapelessVein: calculateVeinBlocks,
     treeCapitator: calculateTreeBlocks,
     veinMiner: calculateOreBlocks,
-    largeTunnel: calculateLargeTunnelBlocks,
-    smallTunnel: calculateSmallTunnelBlocks,
-    lineTunnel: calculateLineTunnelBlocks,
+    tunnel: calculateTunnelBlocks,
+    staircase: calculateStaircaseBlocks,
+    layer: calculateLayerBlocks,
+    sphere: calculateSphereBlocks,
+    cube: calculateCubeBlocks,
+    branchMine: calculateBranchMineBlocks,
+    harvest: calculateHarvestBlocks,
 }
 
 function getCalculatedBlocks(player, block, brokenBlock, maxVein, item, options = {}) {
@@ -461,18 +1153,43 @@ function getCalculatedBlocks(player, block, brokenBlock, maxVein, item, options
     return calculator(player, block, brokenBlock, maxVein, item, options)
 }
 
-async function mineCalculatedBlocks(player, item, blocks, contextBlock = null, startCounter = 0) {
-    if (blocks.length === 0) return
+async function mineCalculatedBlocks(player, item, blocks, contextBlock = null, startCounter = 0, beforeDrop = null) {
+    if (blocks.length === 0 && !beforeDrop) return
+
+    const origin = contextBlock ?? blocks[0]
+    const ctx = createVeinContext(origin, player)
+    const reservation = reserveRun(player, blocks.length)
+    await runJob(player, mineBlockSteps(ctx, item, blocks, startCounter, beforeDrop, reservation), blocks.length, origin, ctx.autoPickup)
+}
+
+// Runs wait in the queue, so a block may have been placed, protected or
+// blacklisted since it was calculated. Checked again right before breaking it.
+function isStillBreakable(ctx, block, plannedTypeId) {
+    if (block.typeId !== plannedTypeId) return false
+    if (isProtectedPosition(ctx.dimension, block.location)) return false
+    return !isBlacklisted(normalizeTypeId(block.typeId), block.permutation)
+}
 
-    const ctx = createVeinContext(contextBlock ?? blocks[0])
+// One step per block for the job scheduler; yields the ticks to wait before the next block.
+// The first yield parks the run in the queue, inside the try so returning it still runs the finally.
+function* mineBlockSteps(ctx, item, blocks, startCounter, beforeDrop, reservation) {
+    const { player } = ctx
+    const durabilityMultiplier = getCostMultipliers(player).durability
+    const durabilityCost = getNumberSetting('dorios:durabilityCost', 1, 0, 32)
+    const plannedTypes = blocks.map(block => block.typeId)
     let cont = startCounter
 
     try {
-        for (const block of blocks) {
+        yield 0
+
+        for (const [index, block] of blocks.entries()) {
             if (!itemStillMatches(player, item)) break
 
             if (getGameMode(player) === 'survival' && item?.durability.isValidComponent()) {
-                if (item.durability.damage()) {
+                const intact = durabilityMultiplier === 1
+                    ? item.durability.damage()
+                    : item.durability.damage(scaleCost(Math.floor(durabilityCost), durabilityMultiplier))
+                if (intact) {
                     player.getComponent('equippable').setEquipment('Mainhand', item)
                 } else {
                     player.getComponent('equippable').setEquipment('Mainhand')
@@ -480,7 +1197,7 @@ async function mineCalculatedBlocks(player, item, blocks, contextBlock = null, s
                 }
             }
 
-            if (shouldConsumeFoodAt(cont)) {
+            if (shouldConsumeFoodAt(cont, player)) {
                 if (!reduceHunger(player)) {
                     player.addEffect('nausea', 200, { showParticles: false })
                     break
@@ -488,16 +1205,46 @@ async function mineCalculatedBlocks(player, item, blocks, contextBlock = null, s
             }
 
             cont++
-            if (!isAirBlock(block)) breakBlock(player, item, block, ctx)
-            await handleBreakDelay(cont)
+            if (!isAirBlock(block) && isStillBreakable(ctx, block, plannedTypes[index])) {
+                const { location, permutation } = block
+                if (breakBlock(player, item, block, ctx)) {
+                    recordRemovedBlock(ctx.history, location, permutation)
+                    unmarkPlacedBlock(ctx.dimension, location)
+                }
+            }
+
+            if (ctx.autoPickup && ctx.stopWhenFull) {
+                dropVeinLoot(ctx)
+                if (ctx.inventoryFull) {
+                    playerMessage(player, '§eInventory full, Excavate stopped')
+                    break
+                }
+            }
+
+            yield getBreakDelay(cont)
         }
     } finally {
+        // A run cancelled because the player left drops its loot at the origin.
+        const playerValid = isEntityValid(player)
+        if (!playerValid) ctx.autoPickup = false
+
+        if (beforeDrop) {
+            try {
+                beforeDrop(ctx)
+            } catch (e) {
+                console.warn(`[Excavate] ${e}`)
+            }
+        }
         dropVeinLoot(ctx)
+        dropVeinExperience(ctx, item)
+        commitHistoryRun(ctx.history)
+        settleRun(reservation, ctx.history.blocks.length)
     }
 }
 
 const OUTLINE_ENTITY_ID = 'dorios:excavate_outline'
 const OUTLINE_UPDATE_TICKS = 4
+const OUTLINE_COOLDOWN_LABEL = '§cOn cooldown'
 const activeOutlines = new Map()
 const OUTLINE_EDGE_PROPERTIES = [
     'dorios:edge_x_y0_z0',
@@ -585,7 +1332,7 @@ function getPointedBlock(player) {
 }
 
 function getPreviewBlocks(player) {
-    if (!player.isSneaking || getGameMode(player) === 'creative') return []
+    if (!isActivationActive(player) || getGameMode(player) === 'creative') return []
     if (player.getDynamicProperty("dorios:isAdding") || player.getDynamicProperty("dorios:isBlacklistAdding") || player.getDynamicProperty("dorios:isDefaultAdding")) return []
 
     const settings = getVeinSettings(player)
@@ -595,7 +1342,7 @@ function getPreviewBlocks(player) {
     if (!block || isAirBlock(block)) return []
 
     const brokenBlock = normalizeTypeId(block.typeId)
-    if (!brokenBlock || blacklist.includes(brokenBlock)) return []
+    if (!brokenBlock || isBlacklisted(brokenBlock, block.permutation)) return []
 
     const item = getMainhand(player)
     if (!is_diggable(item, block.permutation)) return []
@@ -605,20 +1352,28 @@ function getPreviewBlocks(player) {
 
     const vein = veinHandler[settings.veinShape]
     if (typeof vein !== 'function') return []
+    if (!isShapeAllowedForPlayer(player, settings.veinShape)) return []
 
-    if (
-        settings.veinShape !== 'largeTunnel' &&
-        settings.veinShape !== 'smallTunnel' &&
-        settings.veinShape !== 'lineTunnel' &&
-        !settings.veinListSet.has(brokenBlock)
-    ) {
+    if (!LIST_FREE_SHAPES.has(settings.veinShape) && !settings.veinMatcher.has(brokenBlock, block.permutation)) {
         return []
     }
 
-    return getCalculatedBlocks(player, block, brokenBlock, settings.veinLimit, item, {
+    const veinLimit = getRegionVeinLimit(block, settings.veinShape, settings.veinLimit)
+    if (veinLimit === null) return []
+
+    // Only the pointed block is outlined while on cooldown, labelled by the outline loop.
+    if (getCooldownRemaining(player) > 0) return [block]
+
+    return getCalculatedBlocks(player, block, brokenBlock, Math.min(veinLimit, getBudgetLeft(player)), item, {
         veinShape: settings.veinShape,
         veinConnect: settings.veinConnect,
-        veinListSet: settings.veinListSet,
+        veinMatcher: settings.veinMatcher,
+        tunnel: settings.tunnel,
+        staircase: settings.staircase,
+        layer: settings.layer,
+        radius: settings.radius,
+        branch: settings.branch,
+        connectivity: settings.connectivity,
     })
 }
 
@@ -723,8 +1478,8 @@ function applyOutlineEdges(entity, visibleEdges) {
     }
 }
 
-function setPlayerOutline(player, blocks) {
-    const signature = getOutlineSignature(player, blocks)
+function setPlayerOutline(player, blocks, label = '') {
+    const signature = getOutlineSignature(player, blocks) + label
     const previous = activeOutlines.get(player.id)
 
     if (!signature) {
@@ -749,6 +1504,7 @@ function setPlayerOutline(player, blocks) {
             const { x, y, z } = block.location
             const entity = block.dimension.spawnEntity(OUTLINE_ENTITY_ID, { x: x + 0.5, y, z: z + 0.5 })
             applyOutlineEdges(entity, visibleEdges)
+            if (label && entities.length === 0) entity.nameTag = label
             entities.push(entity)
         } catch (e) {
             console.warn(`[ExcavateOutline] Could not spawn outline: ${e}`)
@@ -774,7 +1530,9 @@ system.runInterval(() => {
 
     for (const player of players) {
         try {
-            setPlayerOutline(player, getPreviewBlocks(player))
+            const blocks = getPreviewBlocks(player)
+            const label = blocks.length > 0 && getCooldownRemaining(player) > 0 ? OUTLINE_COOLDOWN_LABEL : ''
+            setPlayerOutline(player, blocks, label)
         } catch (e) {
             clearPlayerOutline(player.id)
             console.warn(`[ExcavateOutline] Preview update failed: ${e}`)
@@ -789,40 +1547,120 @@ system.runInterval(() => {
 /**
  * Creates an isolated loot context for a single vein/tunnel run.
  * @param {Block} block
+ * @param {Player} player
  */
-function createVeinContext(block) {
+function createVeinContext(block, player) {
     return {
-        loot: new Map(),              // Map<typeId, totalAmount>
+        loot: [],                     // Array<{ item: ItemStack, amount: number }>
         dimension: block.dimension,
-        dropPos: block.location
+        dropPos: block.location,
+        player,
+        autoPickup: !!player.getDynamicProperty('dorios:autoPickup'),
+        stopWhenFull: !!player.getDynamicProperty('dorios:autoPickupStopWhenFull'),
+        inventoryFull: false,
+        autoSmelt: isAutoSmeltActive(player),
+        smeltFuel: 0,                 // Smelts left from the last fuel item taken
+        xp: 0,
+        history: createHistoryRun(player, block.dimension)
     }
 }
 
 /**
  * Accumulate an ItemStack into the context.
- * @param {{loot: Map<string, number>}} ctx
+ * Drops are only merged when they are really stackable with each other, so
+ * names, lore, enchantments and dynamic properties survive aggregation.
+ * @param {{loot: Array<{item: ItemStack, amount: number}>}} ctx
  * @param {ItemStack} itemStack
  */
 function addLoot(ctx, itemStack) {
-    const id = itemStack.typeId
     const amount = itemStack.amount ?? 1
-    ctx.loot.set(id, (ctx.loot.get(id) ?? 0) + amount)
+    const entry = ctx.loot.find(entry => entry.item.isStackableWith(itemStack))
+
+    if (entry) {
+        entry.amount += amount
+    } else {
+        ctx.loot.push({ item: itemStack.clone(), amount })
+    }
+}
+
+/**
+ * Hands a single stack to the player when Auto Pickup is on, dropping whatever
+ * does not fit at the player's feet. Without Auto Pickup the stack is spawned
+ * at the context drop position.
+ * @param {object} ctx
+ * @param {ItemStack} stack
+ */
+function deliverLootStack(ctx, stack) {
+    const container = ctx.autoPickup ? ctx.player?.getComponent('inventory')?.container : undefined
+
+    if (!container) {
+        const entity = ctx.dimension.spawnItem(stack, ctx.dropPos)
+        recordSpawnedLoot(ctx.history, stack, entity)
+        return
+    }
+
+    const remainder = container.addItem(stack)
+    const given = stack.amount - (remainder?.amount ?? 0)
+    if (given > 0) {
+        const givenStack = stack.clone()
+        givenStack.amount = given
+        recordSpawnedLoot(ctx.history, givenStack)
+    }
+    if (!remainder) return
+
+    ctx.inventoryFull = true
+    const entity = ctx.player.dimension.spawnItem(remainder, ctx.player.location)
+    recordSpawnedLoot(ctx.history, remainder, entity)
 }
 
 /**
- * Spawn all accumulated loot at the context drop position.
- * Splits stacks to max 64.
- * @param {{loot: Map<string, number>, dimension: any, dropPos: any}} ctx
+ * Deliver all accumulated loot and empty the context so it can be flushed again.
+ * Splits stacks by each item's own max stack size and records every delivered
+ * stack in the run history.
+ * @param {{loot: Array<{item: ItemStack, amount: number}>, dimension: any, dropPos: any, history: object}} ctx
  */
 function dropVeinLoot(ctx) {
-    for (const [typeId, amount] of ctx.loot.entries()) {
+    for (const { item, amount } of ctx.loot) {
+        const maxAmount = Math.max(1, item.maxAmount ?? 64)
         let remaining = amount
         while (remaining > 0) {
-            const stackSize = Math.min(remaining, 64)
-            ctx.dimension.spawnItem(new ItemStack(typeId, stackSize), ctx.dropPos)
-            remaining -= stackSize
+            const stack = item.clone()
+            stack.amount = Math.min(remaining, maxAmount)
+            deliverLootStack(ctx, stack)
+            remaining -= stack.amount
+        }
+    }
+    ctx.loot.length = 0
+}
+
+/**
+ * Spend the experience gathered by the run. With Mending on the held tool the
+ * experience repairs it first, the rest is given to the player directly:
+ * one orb per point would spawn thousands of entities for a large vein.
+ * Both count towards the run's history, so undoing the run takes them back.
+ * @param {{xp: number, player: Player, history: object}} ctx
+ * @param {ItemStack} item The tool used for the run.
+ */
+function dropVeinExperience(ctx, item) {
+    if (ctx.xp <= 0) return
+
+    const player = ctx.player
+    if (item?.durability.isValidComponent() && getEnchantmentLevel(item, 'mending') > 0 && itemStillMatches(player, item)) {
+        const needed = Math.ceil(item.durability.getDamage() / MENDING_DURABILITY_PER_XP)
+        const spent = Math.min(needed, ctx.xp)
+
+        if (spent > 0 && item.durability.repair(spent * MENDING_DURABILITY_PER_XP)) {
+            player.getComponent('equippable').setEquipment('Mainhand', item)
+            recordExperience(ctx.history, spent)
+            ctx.xp -= spent
         }
     }
+
+    if (ctx.xp > 0 && isEntityValid(player)) {
+        player.addExperience(ctx.xp)
+        recordExperience(ctx.history, ctx.xp)
+    }
+    ctx.xp = 0
 }
 
 /**
@@ -839,15 +1677,17 @@ function dropVeinLoot(ctx) {
  *    - utilitycraft:block_loot → dorios:blockLoot
  * 3. Falls back to loot generation + manual air replace (NO destroy) to avoid double drops.
  *
- * If `veinCtx` is provided, loot is accumulated and spawned only when the vein ends.
+ * If `veinCtx` is provided, loot is accumulated and spawned only when the vein ends,
+ * after going through the Auto-Smelt table when the player has it on.
  *
  * @param {Player} player The player breaking the block.
  * @param {ItemStack} item The item used to break the block.
  * @param {Block} block The targeted block.
  * @param {object|null} veinCtx Per-vein loot context (optional).
+ * @returns {boolean} True if the block was removed here, false if it was delegated or skipped.
  */
 function breakBlock(player, item, block, veinCtx = null) {
-    if (!player || !block) return
+    if (!player || !block) return false
 
     const dim = block.dimension
     const { x, y, z } = block.location
@@ -858,48 +1698,50 @@ function breakBlock(player, item, block, veinCtx = null) {
     // ───── Block tags handling ─────
     if (block.hasTag('dorios:machine')) {
         player.runCommand(`scriptevent dorios:destroyMachine ${posString}`)
-        return
+        return false
     }
 
     if (block.hasTag('dorios:generator')) {
         player.runCommand(`scriptevent dorios:destroyGenerator ${posString}`)
-        return
+        return false
     }
 
     if (block.hasTag('dorios:fluid')) {
         player.runCommand(`scriptevent dorios:destroyTank ${posString}`)
-        return
+        return false
     }
 
     if (block.hasTag('dorios:furnace')) {
         player.runCommand(`scriptevent dorios:destroyFurnace ${posString}`)
-        return
+        return false
     }
 
     // ───── Item component handling ─────
     const hammerComp = item?.getComponent('utilitycraft:hammer')
     if (hammerComp) {
         player.runCommand(`scriptevent dorios:hammerBlock ${posString}`)
-        return
+        return false
     }
 
     const lootComp = item?.getComponent('utilitycraft:block_loot')
     if (lootComp) {
         player.runCommand(`scriptevent dorios:blockLoot ${posString}`)
-        return
+        return false
     }
 
     // ───── Loot generation (count per vein) ─────
     const drops = lootManager.generateLootFromBlock(block, item)
 
     if (veinCtx) {
-        for (const drop of drops) addLoot(veinCtx, drop)
+        for (const drop of smeltDrops(veinCtx, drops)) addLoot(veinCtx, drop)
+        veinCtx.xp += rollOreExperience(block.typeId, item)
     } else {
         for (const drop of drops) dim.spawnItem(drop, block.location)
     }
 
     // ───── Remove block without vanilla destroy drops ─────
     dim.runCommand(`fill ${x} ${y} ${z} ${x} ${y} ${z} air`)
+    return true
 }
 
 
@@ -958,9 +1800,13 @@ export const shapeNames = {
     shapelessVein: "Shapeless",
     treeCapitator: "Tree Capitator",
     veinMiner: "Vein Miner",
-    largeTunnel: "Tunnel 3x3",
-    smallTunnel: "Tunnel 1x2",
-    lineTunnel: "Tunnel 1x1"
+    tunnel: "Tunnel",
+    staircase: "Staircase",
+    layer: "Layer",
+    sphere: "Sphere",
+    cube: "Cube",
+    branchMine: "Branch Mining",
+    harvest: "Harvest"
 }
 
 
@@ -972,7 +1818,10 @@ export const veinHandler = {
 
     treeCapitator: async function (player, block, brokenBlock, maxVein = 128, item, options = {}) {
         const blocks = calculateTreeBlocks(player, block, brokenBlock, maxVein, item, options)
-        await mineCalculatedBlocks(player, item, blocks, block, isAirBlock(block) ? 1 : 0)
+        const origin = { ...block.location }
+        // Replant before the loot is dropped so saplings from the leaves can be used.
+        const replant = options.autoReplant ? ctx => replantTree(ctx, origin, brokenBlock) : null
+        await mineCalculatedBlocks(player, item, blocks, block, isAirBlock(block) ? 1 : 0, replant)
     },
 
     veinMiner: async function (player, block, brokenBlock, maxVein = 64, item, options = {}) {
@@ -980,32 +1829,59 @@ export const veinHandler = {
         await mineCalculatedBlocks(player, item, blocks, block, isAirBlock(block) ? 1 : 0)
     },
 
-    largeTunnel: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
-        const blocks = calculateLargeTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+    tunnel: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+        await mineCalculatedBlocks(player, item, blocks, brokenBlock)
+    },
+
+    staircase: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateStaircaseBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+        await mineCalculatedBlocks(player, item, blocks, brokenBlock)
+    },
+
+    layer: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateLayerBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+        await mineCalculatedBlocks(player, item, blocks, brokenBlock)
+    },
+
+    sphere: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateSphereBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
         await mineCalculatedBlocks(player, item, blocks, brokenBlock)
     },
 
-    smallTunnel: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
-        const blocks = calculateSmallTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+    cube: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateCubeBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
         await mineCalculatedBlocks(player, item, blocks, brokenBlock)
     },
 
-    lineTunnel: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
-        const blocks = calculateLineTunnelBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
+    branchMine: async function (player, brokenBlock, brokenBlockPerm, maxVein = 64, item, options = {}) {
+        const blocks = calculateBranchMineBlocks(player, brokenBlock, brokenBlockPerm, maxVein, item, options)
         await mineCalculatedBlocks(player, item, blocks, brokenBlock)
     },
+
+    // Any tool harvests, hoes included: crops have no digging tier.
+    harvest: async function (player, block, brokenBlock, maxVein = 64, item, options = {}) {
+        if (!isHarvestCrop(brokenBlock)) return
+
+        const blocks = calculateHarvestBlocks(player, block, brokenBlock, maxVein, item, options)
+        const origin = { location: { ...block.location }, typeId: brokenBlock }
+        await mineCalculatedBlocks(player, item, blocks, block, 1, ctx => {
+            const harvested = ctx.history.blocks.map(({ location, permutation }) => ({ location, typeId: permutation.type.id }))
+            replantCrops(ctx, [origin, ...harvested])
+        })
+    },
 }
 world.afterEvents.playerBreakBlock.subscribe(async e => {
     const { player, brokenBlockPermutation, block, itemStackBeforeBreak } = e
 
-    if (!player.isSneaking || getGameMode(player) == 'creative') return
+    if (!isActivationActive(player) || getGameMode(player) == 'creative') return
     if (player.getDynamicProperty("dorios:isAdding") || player.getDynamicProperty("dorios:isBlacklistAdding") || player.getDynamicProperty("dorios:isDefaultAdding")) return
 
-    const settings = getVeinSettings(player)
+    const settings = getVeinSettings(player, itemStackBeforeBreak)
 
     let brokenBlock = normalizeTypeId(brokenBlockPermutation.type.id)
 
-    if (blacklist.includes(brokenBlock)) {
+    if (isBlacklisted(brokenBlock, brokenBlockPermutation)) {
         removeBlacklistedFromPlayerList(player, settings.veinList, brokenBlock)
         return
     }
@@ -1017,18 +1893,40 @@ world.afterEvents.playerBreakBlock.subscribe(async e => {
 
     if (typeof vein !== 'function') return
 
+    if (!isShapeAllowedForPlayer(player, settings.veinShape)) {
+        playerMessage(player, `§c${shapeNames[settings.veinShape] ?? settings.veinShape} is not allowed for your group`)
+        return
+    }
+
+    const cooldown = getCooldownRemaining(player)
+    if (cooldown > 0) {
+        playerMessage(player, `§eExcavate on cooldown: ${Math.ceil(cooldown / 20)}s`)
+        return
+    }
+
+    const regionLimit = getRegionVeinLimit(block, settings.veinShape, settings.veinLimit)
+    if (regionLimit === null) return
+
+    const veinLimit = Math.min(regionLimit, getBudgetLeft(player))
     const veinOptions = {
         veinShape: settings.veinShape,
         veinConnect: settings.veinConnect,
-        veinListSet: settings.veinListSet,
+        veinMatcher: settings.veinMatcher,
+        tunnel: settings.tunnel,
+        staircase: settings.staircase,
+        layer: settings.layer,
+        radius: settings.radius,
+        branch: settings.branch,
+        connectivity: settings.connectivity,
+        autoReplant: settings.autoReplant,
     }
 
-    if (settings.veinShape == "largeTunnel" || settings.veinShape == "smallTunnel" || settings.veinShape == "lineTunnel") {
-        await vein(player, block, brokenBlock, settings.veinLimit, itemStackBeforeBreak, veinOptions)
+    if (LIST_FREE_SHAPES.has(settings.veinShape)) {
+        await vein(player, block, brokenBlock, veinLimit, itemStackBeforeBreak, veinOptions)
     } else {
-        if (!settings.veinListSet.has(`${brokenBlock}`)) return
+        if (!settings.veinMatcher.has(brokenBlock, brokenBlockPermutation)) return
         try {
-            await vein(player, block, brokenBlock, settings.veinLimit, itemStackBeforeBreak, veinOptions)
+            await vein(player, block, brokenBlock, veinLimit, itemStackBeforeBreak, veinOptions)
         } catch { }
     }
 })